@@ -4,11 +4,15 @@
 # Prerequisites:
 # - AWS CLI configured with appropriate credentials
 # - S3 bucket created and configured for static website hosting
+# - Node.js, to check the release manifest and the generated feeds and blog
 #
 # Usage:
 #   ./deploy.sh                    # Deploy to production
 #   ./deploy.sh staging            # Deploy to staging
 #   BUCKET=custom-bucket ./deploy.sh  # Deploy to custom bucket
+#
+# If config.<env>.json exists (e.g. written by CI from secrets), it is uploaded
+# alongside the site and merged over js/config.js at runtime by js/environment.js.
 
 set -e
 
@@ -29,12 +33,38 @@ else
     echo "Deploying to PRODUCTION: s3://$TARGET_BUCKET"
 fi
 
+# Stop on gated builds with public URLs; warn about releases missing their date, notes or checksums
+echo "Checking release manifest..."
+node scripts/check-releases.js
+
+# Public builds aren't in git; copy them into downloads/ before deploying.
+# Any that are missing are left as they are in the bucket
+PUBLIC_BUILDS=$(node scripts/check-releases.js --public-files)
+for file in $PUBLIC_BUILDS; do
+    if [ ! -f ".$file" ]; then
+        echo "Warning: .$file not found - it will not be uploaded"
+    fi
+done
+
+# The committed Atom feed must match downloads/releases.json
+echo "Checking release feed..."
+node scripts/build-release-feed.js --check
+
+# The committed blog pages, feed and sitemap must match content/blog/*.md
+echo "Checking blog..."
+node scripts/build-blog.js --check
+
 # Upload files with appropriate content types
 echo "Uploading HTML files..."
 aws s3 cp index.html "s3://$TARGET_BUCKET/" \
     --content-type "text/html; charset=utf-8" \
     --cache-control "max-age=300"
 
+echo "Uploading sitemap..."
+aws s3 cp sitemap.xml "s3://$TARGET_BUCKET/" \
+    --content-type "application/xml; charset=utf-8" \
+    --cache-control "max-age=3600"
+
 echo "Uploading CSS files..."
 aws s3 sync css/ "s3://$TARGET_BUCKET/css/" \
     --content-type "text/css; charset=utf-8" \
@@ -45,6 +75,20 @@ aws s3 sync js/ "s3://$TARGET_BUCKET/js/" \
     --content-type "application/javascript; charset=utf-8" \
     --cache-control "max-age=31536000"
 
+# Environment config - never cached, so a redeploy takes effect immediately
+if [ -f "config.$ENV.json" ]; then
+    echo "Uploading config.$ENV.json..."
+    aws s3 cp "config.$ENV.json" "s3://$TARGET_BUCKET/" \
+        --content-type "application/json; charset=utf-8" \
+        --cache-control "no-cache"
+fi
+
+# Message catalogs change with the page copy, so cache them like HTML
+echo "Uploading locales..."
+aws s3 sync locales/ "s3://$TARGET_BUCKET/locales/" \
+    --content-type "application/json; charset=utf-8" \
+    --cache-control "max-age=300"
+
 # Upload images if they exist
 if [ -d "images" ]; then
     echo "Uploading images..."
@@ -59,23 +103,52 @@ if [ -d "fonts" ]; then
         --cache-control "max-age=31536000"
 fi
 
-# Upload downloads if they exist
+# Upload downloads if they exist. Only public builds (those with a `url` in the
+# manifest) go in the bucket; gated builds are served through signed URLs only
 if [ -d "downloads" ]; then
     echo "Uploading downloads..."
-    aws s3 sync downloads/ "s3://$TARGET_BUCKET/downloads/" \
+    aws s3 cp downloads/index.html "s3://$TARGET_BUCKET/downloads/index.html" \
+        --content-type "text/html; charset=utf-8" \
         --cache-control "max-age=3600"
+    for file in $PUBLIC_BUILDS; do
+        if [ -f ".$file" ]; then
+            aws s3 cp ".$file" "s3://$TARGET_BUCKET$file" \
+                --cache-control "max-age=3600"
+        fi
+    done
+
+    # The manifest changes with every release, so keep it fresh
+    aws s3 cp downloads/releases.json "s3://$TARGET_BUCKET/downloads/releases.json" \
+        --content-type "application/json; charset=utf-8" \
+        --cache-control "max-age=60"
 fi
 
 # Upload blog if it exists
 if [ -d "blog" ]; then
     echo "Uploading blog..."
     aws s3 sync blog/ "s3://$TARGET_BUCKET/blog/" \
+        --exclude "feed.xml" \
         --content-type "text/html; charset=utf-8" \
         --cache-control "max-age=300"
+    aws s3 cp blog/feed.xml "s3://$TARGET_BUCKET/blog/feed.xml" \
+        --content-type "application/atom+xml; charset=utf-8" \
+        --cache-control "max-age=300"
+fi
+
+# Upload changelog and its feed
+echo "Uploading changelog..."
+aws s3 sync changelog/ "s3://$TARGET_BUCKET/changelog/" \
+    --exclude "feed.xml" \
+    --content-type "text/html; charset=utf-8" \
+    --cache-control "max-age=300"
+if [ -f changelog/feed.xml ]; then
+    aws s3 cp changelog/feed.xml "s3://$TARGET_BUCKET/changelog/feed.xml" \
+        --content-type "application/atom+xml; charset=utf-8" \
+        --cache-control "max-age=300"
 fi
 
 # Upload other pages
-for dir in privacy terms security; do
+for dir in privacy terms security success; do
     if [ -d "$dir" ]; then
         echo "Uploading $dir..."
         aws s3 sync $dir/ "s3://$TARGET_BUCKET/$dir/" \
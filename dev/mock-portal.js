@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Nexus - Local Portal Handoff Mock
+ *
+ * Stands in for the API's handoff endpoints and the app portal's landing page
+ * so the enterPortal() flow can be tried without the real backend:
+ *
+ *   GET  /api/auth/me                Bearer token -> mock user profile
+ *   POST /api/auth/handoff           Bearer token -> { code, expires_in }
+ *   POST /api/auth/handoff/exchange  { code }     -> { access_token }
+ *   GET  /auth/handoff               Portal page that redeems #code=...
+ *
+ * Codes are random, expire after 60 seconds and can be redeemed once.
+ *
+ * Usage:
+ *   node dev/mock-portal.js          # listens on http://localhost:8090
+ *   PORT=9000 node dev/mock-portal.js
+ *
+ * Then point api.baseUrl and portal.url at the mock in config.development.json.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8090;
+const CODE_TTL_MS = 60 * 1000;
+
+// code -> { accessToken, expiresAt }
+const handoffCodes = new Map();
+
+const PORTAL_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Portal Handoff (mock)</title>
+    <style>body { font-family: system-ui, sans-serif; background: #0f172a; color: #fff; padding: 4rem; }</style>
+</head>
+<body>
+    <h1>Knowledge Nexus Portal (mock)</h1>
+    <p id="status">Signing you in&hellip;</p>
+    <script>
+        (async () => {
+            const status = document.getElementById('status');
+            const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+
+            // Drop the code from the address bar and history straight away
+            history.replaceState(null, '', window.location.pathname);
+
+            if (!code) {
+                status.textContent = 'No handoff code in the URL.';
+                return;
+            }
+
+            const response = await fetch('/api/auth/handoff/exchange', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code }),
+            });
+            const data = await response.json();
+
+            status.textContent = response.ok
+                ? 'Signed in. Portal session token: ' + data.access_token.slice(0, 12) + '...'
+                : 'Handoff failed: ' + data.detail;
+        })();
+    </script>
+</body>
+</html>`;
+
+function sendJson(res, status, body, origin) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': origin || '*',
+        'Access-Control-Allow-Credentials': 'true',
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(raw || '{}'));
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+    // CORS preflight from the marketing site
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': origin || '*',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        });
+        res.end();
+        return;
+    }
+
+    // Lets a faked session survive AuthManager.verifySession()
+    if (req.method === 'GET' && pathname === '/api/auth/me') {
+        if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+            sendJson(res, 401, { detail: 'Not authenticated' }, origin);
+        } else {
+            sendJson(res, 200, { full_name: 'Mock User', email: 'mock@example.com' }, origin);
+        }
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/auth/handoff') {
+        const auth = req.headers.authorization || '';
+        if (!auth.startsWith('Bearer ') || auth.length <= 'Bearer '.length) {
+            sendJson(res, 401, { detail: 'Not authenticated' }, origin);
+            return;
+        }
+
+        const code = crypto.randomBytes(32).toString('base64url');
+        handoffCodes.set(code, {
+            accessToken: auth.slice('Bearer '.length),
+            expiresAt: Date.now() + CODE_TTL_MS,
+        });
+        sendJson(res, 200, { code, expires_in: CODE_TTL_MS / 1000 }, origin);
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/auth/handoff/exchange') {
+        const { code } = await readJson(req);
+        const entry = handoffCodes.get(code);
+
+        // Single use: a code is gone once looked up, valid or not
+        handoffCodes.delete(code);
+
+        if (!entry) {
+            sendJson(res, 400, { detail: 'Invalid or already used handoff code' }, origin);
+        } else if (entry.expiresAt < Date.now()) {
+            sendJson(res, 400, { detail: 'Handoff code expired' }, origin);
+        } else {
+            // The real API mints a fresh portal session here
+            sendJson(res, 200, { access_token: `portal.${entry.accessToken}` }, origin);
+        }
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/auth/handoff') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(PORTAL_PAGE);
+        return;
+    }
+
+    sendJson(res, 404, { detail: 'Not found' }, origin);
+});
+
+server.listen(PORT, () => {
+    console.log(`Portal handoff mock listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,176 @@
+/**
+ * Knowledge Nexus Marketing Site - Analytics
+ *
+ * First-party funnel events (pricing toggles, plan selection, sign-in,
+ * checkout, portal entry) sent to CONFIG.api.endpoints.analytics. Nothing is
+ * recorded, queued or stored until the visitor accepts the consent banner;
+ * browsers sending Global Privacy Control start out declined (no banner), and
+ * can still opt in from the footer's "Cookie Settings".
+ * Events are batched and flushed every CONFIG.analytics.flushIntervalMs, once
+ * CONFIG.analytics.batchSize are queued, and with sendBeacon when the page is
+ * hidden or unloaded.
+ */
+
+const CONSENT_STORAGE_KEY = 'kn_analytics_consent';
+
+const analyticsQueue = [];
+let analyticsFlushTimer = null;
+
+/**
+ * Set up consent and page-exit flushing - called from initApp()
+ */
+function initAnalytics() {
+    if (!CONFIG.analytics?.enabled) return;
+
+    // Last chance to send queued events; pagehide also covers bfcache navigations
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics({ beacon: true });
+    });
+    window.addEventListener('pagehide', () => flushAnalytics({ beacon: true }));
+
+    const consent = getAnalyticsConsent();
+    if (consent === null) {
+        showConsentBanner();
+    } else if (consent === 'granted') {
+        startAnalytics();
+    }
+}
+
+/**
+ * The visitor's stored choice: 'granted', 'denied' or null if not asked yet
+ */
+function getAnalyticsConsent() {
+    return localStorage.getItem(CONSENT_STORAGE_KEY) ?? (navigator.globalPrivacyControl ? 'denied' : null);
+}
+
+/**
+ * Record the visitor's choice from the banner
+ */
+function setAnalyticsConsent(granted) {
+    localStorage.setItem(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+    hideConsentBanner();
+
+    if (granted) {
+        startAnalytics();
+    } else {
+        stopAnalytics();
+    }
+}
+
+/**
+ * Whether events may be recorded right now
+ */
+function hasAnalyticsConsent() {
+    return Boolean(CONFIG.analytics?.enabled) && getAnalyticsConsent() === 'granted';
+}
+
+/**
+ * Begin collecting once consent is given
+ */
+function startAnalytics() {
+    if (!analyticsFlushTimer) {
+        analyticsFlushTimer = setInterval(() => flushAnalytics(), CONFIG.analytics.flushIntervalMs);
+    }
+    trackEvent('page_view', { referrer: document.referrer || null });
+}
+
+/**
+ * Stop collecting and forget the visitor after consent is withdrawn
+ */
+function stopAnalytics() {
+    clearInterval(analyticsFlushTimer);
+    analyticsFlushTimer = null;
+    analyticsQueue.length = 0;
+    localStorage.removeItem('kn_visitor_id');
+    localStorage.removeItem('kn_attribution');
+    sessionStorage.removeItem('kn_analytics_session');
+}
+
+/**
+ * Record a named event - a no-op without consent
+ * @param {string} name - snake_case event name, e.g. 'plan_selected'
+ * @param {Object} [properties]
+ */
+function trackEvent(name, properties = {}) {
+    if (!hasAnalyticsConsent()) return;
+
+    analyticsQueue.push({
+        name,
+        properties,
+        timestamp: new Date().toISOString(),
+        page: window.location.pathname,
+        visitor_id: getAnalyticsId(localStorage, 'kn_visitor_id'),
+        session_id: getAnalyticsId(sessionStorage, 'kn_analytics_session'),
+    });
+
+    if (analyticsQueue.length >= CONFIG.analytics.batchSize) {
+        flushAnalytics();
+    }
+}
+
+/**
+ * Random, anonymous id kept in the given storage
+ */
+function getAnalyticsId(storage, key) {
+    let id = storage.getItem(key);
+    if (!id) {
+        id = crypto.randomUUID();
+        storage.setItem(key, id);
+    }
+    return id;
+}
+
+/**
+ * Send queued events to the collector
+ */
+function flushAnalytics({ beacon = false } = {}) {
+    if (analyticsQueue.length === 0) return;
+
+    const events = analyticsQueue.splice(0, analyticsQueue.length);
+    const url = apiClient.url('analytics');
+
+    // text/plain keeps the cross-origin request "simple", so beacons skip the CORS preflight
+    const body = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+
+    if (beacon && navigator.sendBeacon?.(url, body)) return;
+
+    fetch(url, { method: 'POST', body, keepalive: true }).catch((error) => {
+        console.error('Analytics flush failed:', error);
+    });
+}
+
+/**
+ * Show the consent banner (also reopened from the footer's "Cookie Settings")
+ */
+function showConsentBanner() {
+    let banner = document.getElementById('consent-banner');
+    if (!banner) {
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="consent-banner" class="fixed bottom-4 left-4 right-4 sm:right-auto sm:max-w-md z-[65] bg-dark/95 backdrop-blur-md border border-white/10 rounded-2xl p-6 text-white shadow-lg" role="region" aria-label="Analytics consent" data-i18n-attr="aria-label:consent.label">
+                <p class="text-sm text-gray-300 mb-4">
+                    <span data-i18n="consent.message">We'd like to measure how visitors use this site - like which plans get picked - to improve it.
+                    We only use our own first-party analytics, never ad trackers, and nothing is collected unless you agree.</span>
+                    <a href="/privacy/" class="underline hover:text-white" data-i18n="footer.privacyPolicy">Privacy Policy</a>
+                </p>
+                <div class="flex gap-3">
+                    <button type="button" onclick="setAnalyticsConsent(true)" class="flex-1 bg-primary hover:bg-primary/90 py-2 rounded-lg text-sm font-semibold transition" data-i18n="consent.accept">Accept</button>
+                    <button type="button" onclick="setAnalyticsConsent(false)" class="flex-1 bg-white/10 hover:bg-white/20 py-2 rounded-lg text-sm font-semibold transition" data-i18n="consent.decline">Decline</button>
+                </div>
+            </div>
+        `);
+        banner = document.getElementById('consent-banner');
+        i18n.translatePage(banner);
+    }
+    banner.classList.remove('hidden');
+}
+
+/**
+ * Hide the consent banner
+ */
+function hideConsentBanner() {
+    document.getElementById('consent-banner')?.classList.add('hidden');
+}
+
+// Export functions for HTML onclick handlers
+window.setAnalyticsConsent = setAnalyticsConsent;
+window.showConsentBanner = showConsentBanner;
@@ -0,0 +1,190 @@
+/**
+ * Knowledge Nexus API Client
+ *
+ * Named methods for the account and billing endpoints, built on
+ * AuthManager.fetchWithAuth(). Endpoint paths come from CONFIG.api.endpoints;
+ * a missing key throws instead of requesting `${baseUrl}undefined`.
+ * Failed requests reject with an ApiError (errors.js).
+ */
+
+// Every endpoint key the site calls
+const REQUIRED_ENDPOINTS = [
+    'googleAuth',
+    'googleAuthCode',
+    'googleClientId',
+    'refreshToken',
+    'logout',
+    'checkInvite',
+    'waitlist',
+    'userProfile',
+    'subscription',
+    'checkout',
+    'billingPortal',
+    'portalHandoff',
+    'enterpriseContact',
+    'newsletter',
+    'analytics',
+    'promoCode',
+    'downloadToken',
+];
+
+class ApiClient {
+    /**
+     * Check that every required endpoint is configured
+     * Throws listing all missing keys so a bad config is caught on page load
+     */
+    validateEndpoints() {
+        const endpoints = CONFIG.api?.endpoints || {};
+        const missing = REQUIRED_ENDPOINTS.filter(key => typeof endpoints[key] !== 'string' || !endpoints[key]);
+
+        if (missing.length > 0) {
+            throw new Error(
+                `Missing API endpoint(s) in CONFIG.api.endpoints: ${missing.join(', ')}. Check js/config.js.`
+            );
+        }
+    }
+
+    /**
+     * Build the full URL for an endpoint key, with optional query parameters
+     */
+    url(key, params = null) {
+        const path = CONFIG.api?.endpoints?.[key];
+        if (!path) {
+            throw new Error(`API endpoint "${key}" is not configured in CONFIG.api.endpoints`);
+        }
+        const query = params ? `?${new URLSearchParams(params)}` : '';
+        return `${CONFIG.api.baseUrl}${path}${query}`;
+    }
+
+    /**
+     * Make an authenticated request and parse the JSON response
+     */
+    async request(key, options = {}) {
+        let response;
+        try {
+            response = await authManager.fetchWithAuth(this.url(key), options);
+        } catch (error) {
+            throw ApiError.from(error);
+        }
+
+        if (!response.ok) {
+            throw await ApiError.fromResponse(response, key);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Make an unauthenticated request and parse the JSON response, if any
+     */
+    async publicRequest(key, { params = null, ...options } = {}) {
+        let response;
+        try {
+            response = await fetch(this.url(key, params), {
+                ...options,
+                headers: {
+                    ...options.headers,
+                    'Content-Type': 'application/json',
+                },
+            });
+        } catch (error) {
+            throw ApiError.from(error);
+        }
+
+        if (!response.ok) {
+            throw await ApiError.fromResponse(response, key);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    /**
+     * Get the current user's subscription
+     * @returns {Promise<{tier: string, status: string}>}
+     */
+    async getSubscription() {
+        return this.request('subscription');
+    }
+
+    /**
+     * Create a Stripe checkout session
+     * @param {{price_id: string, success_url: string, cancel_url: string, quantity?: number, metadata?: Object<string, string>, promo_code?: string}} checkoutRequest
+     * @returns {Promise<{checkout_url: string}>}
+     */
+    async createCheckoutSession(checkoutRequest) {
+        return this.request('checkout', {
+            method: 'POST',
+            body: JSON.stringify(checkoutRequest),
+        });
+    }
+
+    /**
+     * Create a Stripe billing portal session
+     * @returns {Promise<{portal_url: string}>}
+     */
+    async createPortalSession() {
+        return this.request('billingPortal', { method: 'POST' });
+    }
+
+    /**
+     * Create a one-time code the app portal exchanges for its own session
+     * @returns {Promise<{code: string, expires_in: number}>}
+     */
+    async createPortalHandoff() {
+        return this.request('portalHandoff', {
+            method: 'POST',
+            body: JSON.stringify({ portal_url: CONFIG.portal.url }),
+        });
+    }
+
+    /**
+     * Send an enterprise sales inquiry - works signed in or out
+     * @param {{name: string, email: string, company: string, team_size: string, use_case: string, deployment: string, page: string}} inquiry
+     */
+    async submitEnterpriseInquiry(inquiry) {
+        return this.publicRequest('enterpriseContact', {
+            method: 'POST',
+            body: JSON.stringify(inquiry),
+        });
+    }
+
+    /**
+     * Check a promo code before checkout
+     * @returns {Promise<{valid: boolean, code?: string, percent_off?: number, amount_off?: number, applies_to?: string[]|null, duration?: string, duration_in_months?: number, reason?: string}>}
+     */
+    async validatePromoCode(code) {
+        return this.publicRequest('promoCode', { params: { code } });
+    }
+
+    /**
+     * Get a signed, expiring download URL and a device activation token for a Nexus Connect build
+     * @param {{version: string, platform: string, arch: string, channel: string}} build
+     * @returns {Promise<{download_url: string, expires_in: number, activation_token: string}>}
+     */
+    async createDownloadToken(build) {
+        return this.request('downloadToken', {
+            method: 'POST',
+            body: JSON.stringify(build),
+        });
+    }
+
+    /**
+     * Subscribe an email to the blog newsletter (double opt-in)
+     * @param {{email: string, source: string, page: string}} signup
+     * @returns {Promise<{status: 'pending_confirmation'|'subscribed'|'already_subscribed'}>}
+     */
+    async subscribeNewsletter(signup) {
+        return this.publicRequest('newsletter', {
+            method: 'POST',
+            body: JSON.stringify(signup),
+        });
+    }
+}
+
+// Create singleton instance
+const apiClient = new ApiClient();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiClient, apiClient, REQUIRED_ENDPOINTS };
+}
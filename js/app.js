@@ -6,7 +6,10 @@
 
 // Global state
 let currentPricingMode = 'monthly'; // 'monthly' or 'annual'
+let currentCurrency = CONFIG.currency.default; // One of getAvailableCurrencies()
 let userSubscription = null;
+let seatCounts = {}; // Seats chosen per perUser tier, e.g. { team: 5 }
+let accountActionsDisabled = false; // Sign-in and checkout, turned off when CONFIG is invalid
 
 /**
  * Initialize the application
@@ -14,15 +17,95 @@ let userSubscription = null;
 async function initApp() {
     console.log('Initializing Knowledge Nexus Marketing Site...');
 
-    // Initialize Auth0
-    await authManager.init();
+    // Settle this environment's API, portal and Stripe settings before anything uses them.
+    // An invalid config only turns off sign-in and checkout; the rest of the page still works
+    try {
+        await loadEnvironmentConfig();
+    } catch (error) {
+        console.error(error.message);
+        accountActionsDisabled = true;
+    }
+    console.log(`Environment: ${CONFIG.environment}`);
+
+    // Fail loudly on a config missing an API endpoint instead of calling /undefined.
+    // apiClient.url() refuses the missing keys, so only the features using them stop working
+    let endpointsError = null;
+    try {
+        apiClient.validateEndpoints();
+    } catch (error) {
+        console.error(error.message);
+        endpointsError = error;
+    }
+
+    // Bind newsletter forms first so an early submit doesn't reload the page
+    if (typeof initNewsletterForms === 'function') {
+        initNewsletterForms();
+    }
+
+    // Load the visitor's language before any copy is rendered
+    await i18n.init();
+    initLanguageSelector();
+
+    // Report the config problems found above, now in the visitor's language
+    if (accountActionsDisabled) {
+        showError(t('errors.accountActionsUnavailable'));
+    }
+    if (endpointsError) {
+        showError(CONFIG.environment === 'production'
+            ? t('errors.featuresUnavailable')
+            : endpointsError.message);
+    }
+
+    // Consent banner, or start collecting if the visitor already agreed
+    initAnalytics();
+
+    // Remember UTM/referral details of this arrival for signup and checkout
+    captureAttribution();
+
+    // Initialize Google Sign-In and restore any saved session
+    if (!accountActionsDisabled) {
+        await authManager.init();
+    }
 
     // Update UI based on auth state
     updateAuthUI();
 
+    // Pick the visitor's currency, then render pricing cards from CONFIG.tiers
+    currentCurrency = detectCurrency();
+    initCurrencySelector();
+    renderPricing();
+
     // Initialize pricing toggle
     initPricingToggle();
 
+    // Returning from a cancelled Stripe checkout
+    handleCheckoutCancelled();
+
+    // Render the downloads page from the release manifest
+    if (typeof initDownloads === 'function') {
+        await initDownloads();
+    }
+
+    // Render the changelog from the same manifest
+    if (typeof initChangelog === 'function') {
+        await initChangelog();
+    }
+
+    // Flag a Nexus Connect release newer than the one the visitor last saw
+    if (typeof initReleaseBadge === 'function') {
+        initReleaseBadge();
+    }
+
+    // Apply a ?promo= code, or one entered before signing in
+    if (typeof initPromoCode === 'function') {
+        await initPromoCode();
+    }
+
+    // Open the invite gate for ?invite= links
+    if (typeof initInviteGate === 'function' && !accountActionsDisabled) {
+        await initInviteGate();
+    }
+
     // If authenticated, fetch subscription info
     if (authManager.isAuthenticated) {
         await fetchSubscription();
@@ -47,7 +130,7 @@ function updateAuthUI() {
         // Update greeting
         const displayName = authManager.getDisplayName();
         if (userGreeting) {
-            userGreeting.textContent = `Welcome, ${displayName}!`;
+            userGreeting.textContent = t('auth.welcome', { name: displayName });
         }
 
         // Update CTA buttons
@@ -67,20 +150,374 @@ function updateCTAButtons() {
     if (heroCTA && authManager.isAuthenticated) {
         // Replace "Get Started" with "Go to Dashboard"
         heroCTA.innerHTML = `
-            <button onclick="enterPortal()" class="btn btn-primary btn-lg">
-                Go to Dashboard
+            <button onclick="enterPortal()" class="bg-primary hover:bg-primary/90 text-white px-8 py-4 rounded-xl text-lg font-semibold transition btn-glow text-center">
+                ${t('hero.goToDashboard')}
             </button>
-            <a href="#features" class="btn btn-secondary btn-lg">
-                Explore Features
+            <a href="#features" class="bg-white/5 hover:bg-white/10 border border-white/10 text-white px-8 py-4 rounded-xl text-lg font-semibold transition text-center">
+                ${t('hero.exploreFeatures')}
             </a>
         `;
     }
 }
 
+/**
+ * Render the pricing cards from CONFIG.tiers
+ *
+ * Each tier is appended to the `[data-pricing-group]` container matching its
+ * `group`. Cards carry the data attributes read by updatePricingDisplay() and
+ * updateSubscriptionUI().
+ */
+function renderPricing() {
+    const containers = document.querySelectorAll('[data-pricing-group]');
+    if (containers.length === 0) return;
+
+    containers.forEach(container => {
+        const group = container.dataset.pricingGroup;
+        container.innerHTML = Object.entries(CONFIG.tiers)
+            .filter(([, tier]) => tier.group === group)
+            .filter(([key, tier]) => {
+                if (tier.custom || getTierPrices(tier)) return true;
+                console.warn(`Tier "${key}" has no ${currentCurrency} prices in CONFIG.tiers - not shown`);
+                return false;
+            })
+            .map(([key, tier]) => renderPricingCard(key, tier))
+            .join('');
+    });
+
+    updateAnnualSavings();
+    updatePricingDisplay();
+
+    // Re-rendered cards lose the "Current Plan" badge
+    updateSubscriptionUI();
+}
+
+/**
+ * A tier's display copy in the current language, falling back to CONFIG.tiers
+ * @param {string} field - 'tagline', 'badge', 'cta' or 'features'
+ */
+function getTierCopy(key, field) {
+    return i18n.lookup(`tiers.${key}.${field}`) ?? CONFIG.tiers[key][field];
+}
+
+/**
+ * A tier's monthly and annual prices in the current currency
+ * @returns {{monthly: number, annual: number}|null}
+ */
+function getTierPrices(tier) {
+    return tier.prices?.[currentCurrency] || null;
+}
+
+/**
+ * Supported currencies every paid tier has prices and Stripe price IDs in
+ * Others are hidden until CONFIG is filled in for them
+ */
+function getAvailableCurrencies() {
+    return CONFIG.currency.supported.filter(currency => Object.entries(CONFIG.tiers).every(([key, tier]) => {
+        if (tier.custom) return true;
+        const prices = tier.prices?.[currency];
+        return Boolean(prices) && Object.entries(prices)
+            .every(([period, amount]) => amount === 0 || CONFIG.stripe.priceIds?.[key]?.[currency]?.[period]);
+    }));
+}
+
+/**
+ * Pick the saved currency, else the one for the browser's region, else the default
+ */
+function detectCurrency() {
+    const { regions } = CONFIG.currency;
+    const supported = getAvailableCurrencies();
+
+    const saved = localStorage.getItem('kn_currency');
+    if (supported.includes(saved)) return saved;
+
+    for (const language of navigator.languages || [navigator.language]) {
+        try {
+            // maximize() fills in the likely region, e.g. 'de' -> 'de-Latn-DE'
+            const region = new Intl.Locale(language).maximize().region;
+            if (supported.includes(regions[region])) return regions[region];
+        } catch (e) {
+            // Malformed language tag - try the next one
+        }
+    }
+
+    return CONFIG.currency.default;
+}
+
+/**
+ * Fill the currency selector and switch prices when it changes
+ */
+function initCurrencySelector() {
+    const select = document.getElementById('currency-select');
+    if (!select) return;
+
+    const currencies = getAvailableCurrencies();
+    if (currencies.length < 2) {
+        select.closest('label')?.classList.add('hidden');
+        return;
+    }
+
+    select.innerHTML = currencies.map(code => {
+        const symbol = new Intl.NumberFormat(i18n.locale, { style: 'currency', currency: code })
+            .formatToParts(0)
+            .find(part => part.type === 'currency').value;
+        return `<option value="${code}"${code === currentCurrency ? ' selected' : ''}>${code}${symbol !== code ? ` (${symbol})` : ''}</option>`;
+    }).join('');
+
+    select.addEventListener('change', () => setCurrency(select.value));
+}
+
+/**
+ * Switch the currency prices are shown and charged in
+ */
+function setCurrency(currency) {
+    if (!getAvailableCurrencies().includes(currency)) return;
+
+    currentCurrency = currency;
+    localStorage.setItem('kn_currency', currency);
+    renderPricing();
+
+    trackEvent('currency_changed', { currency });
+}
+
+/**
+ * Show the annual discount worked out from the current currency's prices
+ */
+function updateAnnualSavings() {
+    const element = document.getElementById('annual-savings');
+    if (!element) return;
+
+    const savings = Object.values(CONFIG.tiers)
+        .map(getTierPrices)
+        .filter(prices => prices?.monthly > 0 && prices.annual > 0)
+        .map(prices => Math.round((1 - prices.annual / (prices.monthly * 12)) * 100))
+        .filter(percent => percent > 0);
+
+    if (!CONFIG.features.annualPricing || savings.length === 0) {
+        element.classList.add('hidden');
+        return;
+    }
+
+    const most = Math.max(...savings);
+    element.textContent = savings.every(percent => percent === most)
+        ? t('pricing.saveAnnual', { percent: most })
+        : t('pricing.saveUpTo', { percent: most });
+    element.classList.remove('hidden');
+}
+
+/**
+ * Build the markup for a single pricing card
+ */
+function renderPricingCard(key, tier) {
+    const highlight = tier.highlight;
+    const cardClass = highlight
+        ? `bg-gradient-to-b from-${highlight}/20 to-${highlight}/5 border-${highlight}/30 relative`
+        : 'bg-white/5 border-white/10';
+    const buttonClass = highlight
+        ? `bg-${highlight} hover:bg-${highlight}/90${highlight === 'primary' ? ' btn-glow' : ''}`
+        : 'bg-white/10 hover:bg-white/20';
+    const tagline = getTierCopy(key, 'tagline') || (tier.perUser ? t('pricing.minUsers', { count: tier.minUsers }) : '');
+
+    const badge = tier.badge ? `
+            <div class="absolute -top-3 left-1/2 -translate-x-1/2 bg-${highlight} text-white text-xs font-bold px-3 py-1 rounded-full">
+                ${getTierCopy(key, 'badge')}
+            </div>` : '';
+
+    const prices = getTierPrices(tier);
+    const priceAttributes = tier.custom
+        ? ''
+        : ` data-monthly-price="${prices.monthly}" data-annual-price="${prices.annual}"`;
+    const perUserAttribute = tier.perUser ? ' data-per-user="true"' : '';
+
+    const price = tier.custom
+        ? `<span class="text-3xl font-bold">${t('pricing.custom')}</span>`
+        : `<span class="original-price hidden text-lg text-gray-500 line-through mr-1"></span>
+                <span class="amount text-3xl font-bold">${formatPrice(prices.monthly)}</span>
+                <span class="period text-gray-500 text-sm">${pricingPeriodLabel(tier.perUser)}</span>
+                <p class="promo-note hidden text-xs text-green-400 mt-1"></p>`;
+
+    const features = getTierCopy(key, 'features').map(feature => `
+                <li class="flex items-center space-x-2">
+                    <svg class="w-4 h-4 text-green-400 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/></svg>
+                    <span>${feature}</span>
+                </li>`).join('');
+
+    return `
+        <div class="${cardClass} rounded-2xl p-6 border card-hover" data-tier="${key}"${priceAttributes}${perUserAttribute}>${badge}
+            <div class="pricing-tier">
+                <h3 class="text-lg font-bold mb-1">${tier.name}</h3>
+                <p class="text-gray-500 text-xs mb-3">${tagline}</p>
+            </div>
+            <div class="mb-4">
+                ${price}
+            </div>
+            <ul class="space-y-2 mb-6 text-xs text-gray-400">${features}
+            </ul>${tier.perUser ? renderSeatPicker(key, tier) : ''}
+            <div class="pricing-cta">
+                <button type="button" onclick="selectPlan('${key}')" class="btn block w-full text-center ${buttonClass} py-2.5 rounded-lg text-sm font-semibold transition">
+                    ${getTierCopy(key, 'cta')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build the seat quantity picker for a perUser tier
+ */
+function renderSeatPicker(key, tier) {
+    const seats = getSeatCount(key);
+    return `
+            <div class="seat-picker mb-6">
+                <label for="seats-${key}" class="block text-xs text-gray-500 mb-2">${t('pricing.seats', { min: tier.minUsers })}</label>
+                <div class="flex items-center gap-2">
+                    <button type="button" onclick="changeSeatCount('${key}', -1)" class="w-8 h-8 rounded-lg bg-white/10 hover:bg-white/20 transition" aria-label="${t('pricing.removeSeat')}">&minus;</button>
+                    <input id="seats-${key}" type="number" min="${tier.minUsers}" step="1" value="${seats}" onchange="setSeatCount('${key}', this.value)"
+                        class="seat-count w-16 text-center bg-white/5 border border-white/10 rounded-lg py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary">
+                    <button type="button" onclick="changeSeatCount('${key}', 1)" class="w-8 h-8 rounded-lg bg-white/10 hover:bg-white/20 transition" aria-label="${t('pricing.addSeat')}">+</button>
+                </div>
+                <p class="seat-total text-xs text-gray-400 mt-2" aria-live="polite"></p>
+            </div>`;
+}
+
+/**
+ * Get the number of seats selected for a tier (at least its minUsers)
+ */
+function getSeatCount(tier) {
+    const minUsers = CONFIG.tiers[tier]?.minUsers || 1;
+    return Math.max(seatCounts[tier] || 0, minUsers);
+}
+
+/**
+ * Set the number of seats for a tier, enforcing its minUsers
+ */
+function setSeatCount(tier, value) {
+    const seats = parseInt(value, 10);
+    seatCounts[tier] = Number.isNaN(seats) ? 0 : seats;
+
+    const card = document.querySelector(`[data-tier="${tier}"]`);
+    const input = card?.querySelector('.seat-count');
+    if (input) {
+        input.value = getSeatCount(tier);
+    }
+    if (card) {
+        updateSeatTotal(card);
+    }
+}
+
+/**
+ * Add or remove seats for a tier
+ */
+function changeSeatCount(tier, delta) {
+    setSeatCount(tier, getSeatCount(tier) + delta);
+}
+
+/**
+ * Update the live seat total on a perUser pricing card
+ */
+function updateSeatTotal(card) {
+    const totalElement = card.querySelector('.seat-total');
+    if (!totalElement) return;
+
+    const seats = getSeatCount(card.dataset.tier);
+    const monthlyPrice = parseFloat(card.dataset.monthlyPrice);
+    const annualPrice = parseFloat(card.dataset.annualPrice);
+    const billedAnnually = currentPricingMode === 'annual' && annualPrice;
+
+    const total = (billedAnnually ? annualPrice : monthlyPrice) * seats;
+    const period = billedAnnually ? 'year' : 'month';
+    const promo = getTierPromo(card.dataset.tier);
+    const discountedTotal = promo ? discountPrice(total, promo) : total;
+
+    totalElement.textContent = discountedTotal < total
+        ? t(`pricing.seatTotalWithPromo.${period}`, { total: formatPrice(discountedTotal), count: seats, code: promo.code, original: formatPrice(total) })
+        : t(`pricing.seatTotal.${period}`, { total: formatPrice(total), count: seats });
+}
+
+/**
+ * Format an amount in the page language - whole units when exact, otherwise cents
+ */
+function formatPrice(amount, currency = currentCurrency) {
+    const rounded = Math.round(amount * 100) / 100;
+    const fractionDigits = Number.isInteger(rounded) ? 0 : 2;
+
+    return new Intl.NumberFormat(i18n.locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+    }).format(rounded);
+}
+
+/**
+ * The applied promo code for a tier, when promo.js is loaded and the code covers it
+ */
+function getTierPromo(tier) {
+    return typeof getPromoForTier === 'function' ? getPromoForTier(tier) : null;
+}
+
+/**
+ * Get the price period label shown after the amount
+ */
+function pricingPeriodLabel(perUser, billedAnnually = false) {
+    if (billedAnnually) {
+        return perUser ? t('pricing.period.perUserBilledAnnually') : t('pricing.period.billedAnnually');
+    }
+    return perUser ? t('pricing.period.perUserMonth') : t('pricing.period.month');
+}
+
+/**
+ * Fill the language selector and switch languages when it changes
+ */
+function initLanguageSelector() {
+    document.querySelectorAll('[data-language-select]').forEach(select => {
+        select.innerHTML = Object.entries(CONFIG.i18n.locales).map(([locale, name]) =>
+            `<option value="${locale}" lang="${locale}"${locale === i18n.locale ? ' selected' : ''}>${name}</option>`
+        ).join('');
+
+        select.addEventListener('change', () => setLanguage(select.value));
+    });
+}
+
+/**
+ * Switch the page language and re-render the copy built in JS
+ */
+async function setLanguage(locale) {
+    if (!await i18n.setLocale(locale)) {
+        showError(t('errors.languageUnavailable'));
+        return;
+    }
+
+    document.querySelectorAll('[data-language-select]').forEach(select => {
+        select.value = locale;
+    });
+
+    renderPricing();
+    updateAuthUI();
+    if (typeof renderDownloads === 'function') {
+        renderDownloads();
+    }
+    if (typeof renderChangelog === 'function') {
+        renderChangelog();
+    }
+    if (typeof renderBlogSearch === 'function') {
+        renderBlogSearch();
+    }
+    if (typeof renderCheckoutDetails === 'function') {
+        renderCheckoutDetails();
+    }
+
+    trackEvent('language_changed', { locale });
+}
+
 /**
  * Initialize pricing toggle functionality
  */
 function initPricingToggle() {
+    if (!CONFIG.features.annualPricing) {
+        document.querySelector('.pricing-toggle')?.classList.add('hidden');
+        return;
+    }
+
     const toggleButtons = document.querySelectorAll('.pricing-toggle button');
 
     toggleButtons.forEach(button => {
@@ -92,10 +529,20 @@ function initPricingToggle() {
             // Update pricing mode
             currentPricingMode = button.dataset.period;
             updatePricingDisplay();
+
+            trackEvent('pricing_period_toggled', { period: currentPricingMode });
         });
     });
 }
 
+/**
+ * The per month price shown on a card for an invoice amount; annual prices
+ * show as a whole-unit monthly equivalent
+ */
+function shownMonthlyPrice(invoicePrice, billedAnnually) {
+    return billedAnnually ? Math.floor(invoicePrice / 12) : invoicePrice;
+}
+
 /**
  * Update pricing display based on monthly/annual toggle
  */
@@ -105,28 +552,56 @@ function updatePricingDisplay() {
     priceElements.forEach(element => {
         const monthlyPrice = parseFloat(element.dataset.monthlyPrice);
         const annualPrice = parseFloat(element.dataset.annualPrice);
+        const perUser = element.dataset.perUser === 'true';
+        const billedAnnually = currentPricingMode === 'annual' && annualPrice > 0;
+
+        const invoicePrice = billedAnnually ? annualPrice : monthlyPrice;
+        const amount = shownMonthlyPrice(invoicePrice, billedAnnually);
+        element.querySelector('.amount').textContent = formatPrice(amount);
+        element.querySelector('.period').textContent = pricingPeriodLabel(perUser, billedAnnually);
+
+        // Strike through the regular price when a promo code lowers it;
+        // fixed-amount codes come off the invoice, so per-seat prices only show percentages
+        const promo = getTierPromo(element.dataset.tier);
+        const discounted = promo ? discountPrice(invoicePrice, promo, { perInvoice: !perUser }) : invoicePrice;
+        const discountedAmount = shownMonthlyPrice(discounted, billedAnnually);
+        const hasDiscount = discountedAmount < amount;
+
+        if (hasDiscount) {
+            element.querySelector('.amount').textContent = formatPrice(discountedAmount);
+        }
+        element.querySelector('.original-price').textContent = hasDiscount ? formatPrice(amount) : '';
+        element.querySelector('.original-price').classList.toggle('hidden', !hasDiscount);
+        element.querySelector('.promo-note').textContent = promo && monthlyPrice > 0 ? `${promo.code}: ${describePromo(promo)}` : '';
+        element.querySelector('.promo-note').classList.toggle('hidden', !promo || !(monthlyPrice > 0));
 
-        if (currentPricingMode === 'annual' && annualPrice) {
-            // Show annual price (per month equivalent)
-            const monthlyEquivalent = Math.floor(annualPrice / 12);
-            element.querySelector('.amount').textContent = monthlyEquivalent;
-            element.querySelector('.period').textContent = '/mo (billed annually)';
-        } else {
-            element.querySelector('.amount').textContent = monthlyPrice;
-            element.querySelector('.period').textContent = '/month';
+        if (perUser) {
+            updateSeatTotal(element);
         }
     });
 }
 
+/**
+ * Whether sign-in and checkout are on; tells the visitor when they aren't
+ */
+function checkAccountActionsAvailable() {
+    if (!accountActionsDisabled) return true;
+
+    showError(t('errors.accountActionsUnavailable'));
+    return false;
+}
+
 /**
  * Login function - called from UI
  */
 async function login() {
+    if (!checkAccountActionsAvailable()) return;
+
     try {
         await authManager.login();
     } catch (error) {
         console.error('Login error:', error);
-        showError('Login failed. Please try again.');
+        showError(t('errors.loginFailed'));
     }
 }
 
@@ -134,11 +609,18 @@ async function login() {
  * Signup function - called from UI
  */
 async function signup() {
+    if (!checkAccountActionsAvailable()) return;
+
     try {
+        // Invite-only mode checks for an invite before the Google prompt
+        if (typeof isInviteOnly === 'function' && isInviteOnly()) {
+            openInviteGate();
+            return;
+        }
         await authManager.signup();
     } catch (error) {
         console.error('Signup error:', error);
-        showError('Signup failed. Please try again.');
+        showError(t('errors.signupFailed'));
     }
 }
 
@@ -150,7 +632,7 @@ async function logout() {
         await authManager.logout();
     } catch (error) {
         console.error('Logout error:', error);
-        showError('Logout failed. Please try again.');
+        showError(t('errors.logoutFailed'));
     }
 }
 
@@ -165,20 +647,23 @@ async function enterPortal() {
     }
 
     try {
-        // Get fresh token
-        const token = await authManager.getAccessToken();
+        showLoading(t('progress.openingDashboard'));
+
+        // Exchange our session for a short-lived, single-use code the portal can redeem
+        const { code } = await apiClient.createPortalHandoff();
 
-        // Redirect to portal with token
-        // The portal will validate the token and show appropriate dashboard
-        const portalUrl = new URL(CONFIG.portal.url);
+        // Pass the code in the fragment so it never reaches server logs or the Referer header
+        const portalUrl = new URL(CONFIG.portal.handoffPath, CONFIG.portal.url);
+        portalUrl.hash = new URLSearchParams({ code }).toString();
 
-        // Store token in session for portal pickup (or use other secure method)
-        sessionStorage.setItem('auth_redirect', 'true');
+        trackEvent('portal_entered');
+        flushAnalytics({ beacon: true });
 
         window.location.href = portalUrl.toString();
     } catch (error) {
+        hideLoading();
         console.error('Portal redirect error:', error);
-        showError('Unable to access portal. Please try logging in again.');
+        showApiError(error, { action: 'openDashboard', retry: enterPortal });
     }
 }
 
@@ -187,13 +672,11 @@ async function enterPortal() {
  */
 async function fetchSubscription() {
     try {
-        const response = await authManager.fetchWithAuth(
-            `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.subscription}`
-        );
-
-        if (response.ok) {
-            userSubscription = await response.json();
-            updateSubscriptionUI();
+        userSubscription = await apiClient.getSubscription();
+        updateSubscriptionUI();
+        // Plan-restricted builds show whether they're included
+        if (typeof renderDownloads === 'function') {
+            renderDownloads();
         }
     } catch (error) {
         console.error('Failed to fetch subscription:', error);
@@ -212,13 +695,13 @@ function updateSubscriptionUI() {
     if (tierCard) {
         const badge = document.createElement('span');
         badge.className = 'current-plan-badge';
-        badge.textContent = 'Current Plan';
+        badge.textContent = t('pricing.currentPlan');
         tierCard.querySelector('.pricing-tier')?.appendChild(badge);
 
         // Change button to "Manage Plan"
         const ctaButton = tierCard.querySelector('.pricing-cta .btn');
         if (ctaButton) {
-            ctaButton.textContent = 'Manage Plan';
+            ctaButton.textContent = t('pricing.managePlan');
             ctaButton.onclick = () => managePlan();
         }
     }
@@ -228,6 +711,12 @@ function updateSubscriptionUI() {
  * Select a pricing plan - called from pricing cards
  */
 async function selectPlan(tier) {
+    trackEvent('plan_selected', {
+        tier,
+        period: currentPricingMode,
+        authenticated: authManager.isAuthenticated,
+    });
+
     // Free tier - just sign up
     if (tier === 'free') {
         if (authManager.isAuthenticated) {
@@ -249,6 +738,9 @@ async function selectPlan(tier) {
         // Need to login first, then redirect to checkout
         sessionStorage.setItem('pending_tier', tier);
         sessionStorage.setItem('pending_period', currentPricingMode);
+        if (CONFIG.tiers[tier]?.perUser) {
+            sessionStorage.setItem('pending_quantity', getSeatCount(tier));
+        }
         await signup();
         return;
     }
@@ -261,38 +753,74 @@ async function selectPlan(tier) {
  * Create a Stripe checkout session
  */
 async function createCheckoutSession(tier) {
+    if (!checkAccountActionsAvailable()) return;
+
     try {
-        showLoading();
+        showLoading(t('progress.redirectingToCheckout'));
 
-        const priceId = CONFIG.stripe.priceIds[tier]?.[currentPricingMode];
+        const priceId = CONFIG.stripe.priceIds[tier]?.[currentCurrency]?.[currentPricingMode];
         if (!priceId) {
-            throw new Error(`Invalid tier or pricing mode: ${tier}/${currentPricingMode}`);
+            throw new Error(`Invalid tier, currency or pricing mode: ${tier}/${currentCurrency}/${currentPricingMode}`);
         }
 
-        const response = await authManager.fetchWithAuth(
-            `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.checkout}`,
-            {
-                method: 'POST',
-                body: JSON.stringify({
-                    price_id: priceId,
-                    success_url: `${window.location.origin}/success?session_id={CHECKOUT_SESSION_ID}`,
-                    cancel_url: window.location.href,
-                }),
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error('Failed to create checkout session');
+        const cancelUrl = new URL(window.location.href);
+        cancelUrl.searchParams.set('checkout', 'cancelled');
+        cancelUrl.hash = 'pricing';
+
+        const checkoutRequest = {
+            price_id: priceId,
+            success_url: `${window.location.origin}/success/?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: cancelUrl.toString(),
+        };
+
+        // Per-seat tiers are billed for the number of seats picked on the card
+        if (CONFIG.tiers[tier]?.perUser) {
+            checkoutRequest.quantity = getSeatCount(tier);
+        }
+
+        // First/last-touch campaign details, passed through to the Stripe session
+        checkoutRequest.metadata = getAttributionMetadata();
+
+        const promo = getTierPromo(tier);
+        if (promo) {
+            checkoutRequest.promo_code = promo.code;
         }
 
-        const { checkout_url } = await response.json();
+        const { checkout_url } = await apiClient.createCheckoutSession(checkoutRequest);
+
+        trackEvent('checkout_started', {
+            tier,
+            period: currentPricingMode,
+            currency: currentCurrency,
+            quantity: checkoutRequest.quantity,
+        });
+        flushAnalytics({ beacon: true });
+
+        // Remember what was bought so the success page knows which tier to wait for
+        sessionStorage.setItem('checkout_pending', JSON.stringify({
+            tier,
+            period: currentPricingMode,
+            quantity: checkoutRequest.quantity,
+        }));
 
         // Redirect to Stripe Checkout
         window.location.href = checkout_url;
     } catch (error) {
         console.error('Checkout error:', error);
-        showError('Unable to start checkout. Please try again.');
+        trackEvent('checkout_failed', { tier, error: ApiError.from(error).kind });
         hideLoading();
+        showApiError(error, { action: 'startCheckout', retry: () => createCheckoutSession(tier) });
+    }
+}
+
+/**
+ * Read the checkout details saved by createCheckoutSession(), or null
+ */
+function getPendingCheckout() {
+    try {
+        return JSON.parse(sessionStorage.getItem('checkout_pending') || 'null');
+    } catch (e) {
+        return null;
     }
 }
 
@@ -301,23 +829,14 @@ async function createCheckoutSession(tier) {
  */
 async function managePlan() {
     try {
-        showLoading();
+        showLoading(t('progress.openingBillingPortal'));
 
-        const response = await authManager.fetchWithAuth(
-            `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.portal}`,
-            { method: 'POST' }
-        );
-
-        if (!response.ok) {
-            throw new Error('Failed to create portal session');
-        }
-
-        const { portal_url } = await response.json();
+        const { portal_url } = await apiClient.createPortalSession();
         window.location.href = portal_url;
     } catch (error) {
         console.error('Portal error:', error);
-        showError('Unable to access billing portal. Please try again.');
         hideLoading();
+        showApiError(error, { action: 'openBillingPortal', retry: managePlan });
     }
 }
 
@@ -325,6 +844,11 @@ async function managePlan() {
  * Contact sales for enterprise inquiries
  */
 function contactSales() {
+    if (typeof isEnterpriseFormEnabled === 'function' && isEnterpriseFormEnabled()) {
+        openEnterpriseContact();
+        return;
+    }
+
     const email = CONFIG.contact.enterprise;
     const subject = encodeURIComponent('Enterprise Inquiry - Knowledge Nexus');
     const body = encodeURIComponent(`Hi,
@@ -342,28 +866,6 @@ Thanks!`);
     window.location.href = `mailto:${email}?subject=${subject}&body=${body}`;
 }
 
-/**
- * Show loading state
- */
-function showLoading() {
-    document.body.classList.add('loading');
-}
-
-/**
- * Hide loading state
- */
-function hideLoading() {
-    document.body.classList.remove('loading');
-}
-
-/**
- * Show error message to user
- */
-function showError(message) {
-    // Simple alert for now - could be replaced with toast notification
-    alert(message);
-}
-
 /**
  * Smooth scroll to section
  */
@@ -378,20 +880,63 @@ function scrollToSection(sectionId) {
 async function checkPendingActions() {
     const pendingTier = sessionStorage.getItem('pending_tier');
     const pendingPeriod = sessionStorage.getItem('pending_period');
+    const pendingQuantity = sessionStorage.getItem('pending_quantity');
 
     if (pendingTier && authManager.isAuthenticated) {
         sessionStorage.removeItem('pending_tier');
         sessionStorage.removeItem('pending_period');
+        sessionStorage.removeItem('pending_quantity');
 
         currentPricingMode = pendingPeriod || 'monthly';
+        if (pendingQuantity) {
+            seatCounts[pendingTier] = parseInt(pendingQuantity, 10);
+        }
         await createCheckoutSession(pendingTier);
+        return;
+    }
+
+    // Download a Nexus Connect build that was waiting for sign-in
+    if (typeof resumePendingDownload === 'function' && await resumePendingDownload()) {
+        return;
+    }
+
+    // Confirm a completed checkout on the success page
+    if (typeof initCheckoutSuccess === 'function') {
+        await initCheckoutSuccess();
     }
 }
 
+/**
+ * Show a notice when the visitor returns from a cancelled Stripe checkout
+ */
+function handleCheckoutCancelled() {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get('checkout') !== 'cancelled') return;
+
+    trackEvent('checkout_cancelled', { tier: getPendingCheckout()?.tier });
+    sessionStorage.removeItem('checkout_pending');
+    document.getElementById('checkout-cancelled')?.classList.remove('hidden');
+
+    // Drop the flag so a reload doesn't show the notice again
+    url.searchParams.delete('checkout');
+    window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Dismiss the checkout cancelled notice
+ */
+function dismissCheckoutCancelled() {
+    document.getElementById('checkout-cancelled')?.classList.add('hidden');
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
     await initApp();
-    await checkPendingActions();
+
+    // After a redirect sign-in, pending actions run on the page the visitor is sent back to
+    if (!authManager.leavingPage) {
+        await checkPendingActions();
+    }
 });
 
 // Export functions for HTML onclick handlers
@@ -400,5 +945,9 @@ window.logout = logout;
 window.signup = signup;
 window.enterPortal = enterPortal;
 window.selectPlan = selectPlan;
+window.setSeatCount = setSeatCount;
+window.changeSeatCount = changeSeatCount;
 window.contactSales = contactSales;
+window.dismissCheckoutCancelled = dismissCheckoutCancelled;
 window.scrollToSection = scrollToSection;
+window.setLanguage = setLanguage;
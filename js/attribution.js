@@ -0,0 +1,128 @@
+/**
+ * Knowledge Nexus Marketing Site - Attribution
+ *
+ * Remembers how a visitor found the site so signups and paid subscriptions can
+ * be credited to campaigns, referrers and blog posts. A "touch" is the UTM
+ * parameters, `?ref=` referral code, external referrer and landing page of an
+ * arrival. The first touch is kept for good; the last touch is replaced by any
+ * later arrival from a campaign, referral link or another site (other than
+ * Stripe and Google sign-in, which visitors return from mid-visit).
+ *
+ * Touches live in localStorage when the visitor has accepted analytics and in
+ * sessionStorage otherwise - enough to survive the Google sign-in round trip.
+ * getAttributionMetadata() flattens both touches for the googleAuth and
+ * checkout requests.
+ */
+
+const ATTRIBUTION_STORAGE_KEY = 'kn_attribution';
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Stripe Checkout and billing portal returns and the Google sign-in redirect
+// come back with these (or their subdomains) as the referrer. They're part of
+// the visit, so they mustn't replace the campaign that brought the visitor.
+const ATTRIBUTION_IGNORED_REFERRERS = ['stripe.com', 'accounts.google.com'];
+
+// Stripe rejects metadata values longer than this
+const ATTRIBUTION_VALUE_MAX_LENGTH = 500;
+
+/**
+ * Record this page view as a touch if it is an arrival - called from initApp()
+ */
+function captureAttribution() {
+    const touch = getCurrentTouch();
+    const attribution = loadAttribution();
+
+    if (!attribution.first_touch) {
+        attribution.first_touch = touch;
+        attribution.last_touch = touch;
+    } else if (isAttributedTouch(touch)) {
+        attribution.last_touch = touch;
+    } else {
+        return;
+    }
+
+    saveAttribution(attribution);
+}
+
+/**
+ * Describe how the visitor reached the current page
+ */
+function getCurrentTouch() {
+    const params = new URLSearchParams(window.location.search);
+    const touch = {};
+
+    UTM_PARAMS.forEach(param => {
+        const value = params.get(param);
+        if (value) touch[param] = value;
+    });
+
+    const ref = params.get('ref');
+    if (ref) touch.ref = ref;
+
+    // Only other sites count as referrers; internal navigation and payment or
+    // sign-in round trips are not a new touch
+    if (document.referrer) {
+        const referrer = new URL(document.referrer);
+        if (referrer.host !== window.location.host && !isIgnoredReferrer(referrer.hostname)) {
+            touch.referrer = referrer.host;
+        }
+    }
+
+    touch.landing_page = window.location.pathname;
+    touch.captured_at = new Date().toISOString();
+    return touch;
+}
+
+function isIgnoredReferrer(hostname) {
+    return ATTRIBUTION_IGNORED_REFERRERS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Whether a touch came from a campaign, referral link or another site
+ */
+function isAttributedTouch(touch) {
+    return Boolean(touch.ref || touch.referrer || UTM_PARAMS.some(param => touch[param]));
+}
+
+/**
+ * Read stored touches, preferring this session's copy
+ */
+function loadAttribution() {
+    try {
+        const stored = sessionStorage.getItem(ATTRIBUTION_STORAGE_KEY) || localStorage.getItem(ATTRIBUTION_STORAGE_KEY);
+        return JSON.parse(stored || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Store touches - across visits only with analytics consent
+ */
+function saveAttribution(attribution) {
+    const value = JSON.stringify(attribution);
+    sessionStorage.setItem(ATTRIBUTION_STORAGE_KEY, value);
+
+    if (typeof hasAnalyticsConsent === 'function' && hasAnalyticsConsent()) {
+        localStorage.setItem(ATTRIBUTION_STORAGE_KEY, value);
+    }
+}
+
+/**
+ * Flat string map of both touches, e.g. { first_utm_source: 'newsletter', last_landing_page: '/blog/what-is-rag/' }
+ * Shaped to pass straight through as Stripe metadata
+ * @returns {Object<string, string>}
+ */
+function getAttributionMetadata() {
+    const attribution = loadAttribution();
+    const metadata = {};
+
+    [['first', attribution.first_touch], ['last', attribution.last_touch]].forEach(([prefix, touch]) => {
+        Object.entries(touch || {}).forEach(([key, value]) => {
+            metadata[`${prefix}_${key}`] = String(value).slice(0, ATTRIBUTION_VALUE_MAX_LENGTH);
+        });
+    });
+
+    return metadata;
+}
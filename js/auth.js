@@ -5,6 +5,143 @@
  * Uses Google Identity Services library and your backend's /api/auth/google endpoint.
  */
 
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// setTimeout fires immediately for delays past a signed 32-bit int (~24.8 days)
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// A scheduled refresh that fails on a network or server error is retried
+// after 5s, 10s, 20s... before the session is given up
+const TOKEN_REFRESH_RETRY_MS = 5 * 1000;
+const TOKEN_REFRESH_MAX_RETRIES = 6;
+
+// Channel used to keep sessions in sync across open tabs
+const AUTH_CHANNEL_NAME = 'kn_auth';
+
+// getNotDisplayedReason() values with their own auth.oneTap.notDisplayed message
+const ONE_TAP_NOT_DISPLAYED_REASONS = [
+    'browser_not_supported',
+    'invalid_client',
+    'missing_client_id',
+    'opt_out_or_no_session',
+    'secure_http_required',
+    'suppressed_by_user',
+    'unregistered_origin',
+    'unknown_reason',
+];
+
+// Same for getSkippedReason() and auth.oneTap.skipped
+const ONE_TAP_SKIPPED_REASONS = ['auto_cancel', 'issuing_failed'];
+
+// Skip reasons that mean the visitor closed One Tap on purpose - no fallback for those
+const ONE_TAP_DISMISSED_REASONS = ['user_cancel', 'tap_outside'];
+
+/**
+ * Session store backed by localStorage or sessionStorage
+ */
+class WebStorageSessionStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.cookieRefresh = false;
+    }
+
+    load() {
+        let user = null;
+        const userJson = this.storage.getItem('kn_user');
+        if (userJson) {
+            try {
+                user = JSON.parse(userJson);
+            } catch (e) {
+                console.error('Failed to parse user data');
+            }
+        }
+
+        return {
+            accessToken: this.storage.getItem('kn_access_token'),
+            refreshToken: this.storage.getItem('kn_refresh_token'),
+            user,
+        };
+    }
+
+    save({ accessToken, refreshToken, user }) {
+        if (accessToken) {
+            this.storage.setItem('kn_access_token', accessToken);
+        }
+        if (refreshToken) {
+            this.storage.setItem('kn_refresh_token', refreshToken);
+        }
+        if (user) {
+            this.storage.setItem('kn_user', JSON.stringify(user));
+        }
+    }
+
+    clear() {
+        this.storage.removeItem('kn_access_token');
+        this.storage.removeItem('kn_refresh_token');
+        this.storage.removeItem('kn_user');
+    }
+
+    hasSession() {
+        return Boolean(this.storage.getItem('kn_access_token'));
+    }
+}
+
+/**
+ * Session store that keeps tokens in memory only
+ *
+ * The refresh token is an httpOnly cookie set by the API, so a reload
+ * restores the session through the refresh endpoint. A non-secret hint in
+ * localStorage records that a session exists, so anonymous visitors don't
+ * trigger a refresh request on every page load.
+ */
+class MemorySessionStore {
+    constructor() {
+        this.session = { accessToken: null, refreshToken: null, user: null };
+        this.cookieRefresh = true;
+    }
+
+    load() {
+        return { ...this.session };
+    }
+
+    save({ accessToken, user }) {
+        if (accessToken) {
+            this.session.accessToken = accessToken;
+        }
+        if (user) {
+            this.session.user = user;
+        }
+        localStorage.setItem('kn_session_hint', '1');
+    }
+
+    clear() {
+        this.session = { accessToken: null, refreshToken: null, user: null };
+        localStorage.removeItem('kn_session_hint');
+    }
+
+    hasSession() {
+        return Boolean(this.session.accessToken) || localStorage.getItem('kn_session_hint') === '1';
+    }
+}
+
+/**
+ * Create the session store selected by CONFIG.auth.sessionStore
+ */
+function createSessionStore(type) {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'sessionStorage':
+            return new WebStorageSessionStore(sessionStorage);
+        case 'localStorage':
+            return new WebStorageSessionStore(localStorage);
+        default:
+            console.warn(`Unknown session store "${type}", using localStorage`);
+            return new WebStorageSessionStore(localStorage);
+    }
+}
+
 class AuthManager {
     constructor() {
         this.isAuthenticated = false;
@@ -13,6 +150,14 @@ class AuthManager {
         this.refreshToken = null;
         this.initialized = false;
         this.googleClientId = null;
+        this.googleReady = Promise.resolve();
+        this.refreshPromise = null;
+        this.refreshTimer = null;
+        this.refreshFailure = null; // 'transient' or 'rejected' after a failed refresh
+        this.channel = null;
+        this.googleContext = 'signin';
+        this.store = null; // created in init(), once the environment's config is merged
+        this.leavingPage = false; // a redirect sign-in is sending the visitor back to their page
     }
 
     /**
@@ -22,20 +167,35 @@ class AuthManager {
     async init() {
         if (this.initialized) return;
 
+        this.store = createSessionStore(CONFIG.auth?.sessionStore || 'localStorage');
+
         try {
+            // Follow logins, refreshes and logouts from other tabs
+            this.initSessionSync();
+
             // Try to fetch Google client ID from backend
             await this.loadGoogleClientId();
 
-            // Check for existing session in localStorage
+            // Finish a redirect-mode Google sign-in started from the fallback dialog
+            await this.handleOAuthRedirect();
+
+            // Check for an existing session in the configured store
             this.loadSession();
 
+            // Memory sessions start without an access token; restore it from the refresh cookie
+            if (!this.accessToken && this.store.cookieRefresh && this.store.hasSession()) {
+                await this.refreshAccessToken();
+            }
+            this.scheduleTokenRefresh();
+
             // If we have tokens, verify they're still valid
             if (this.accessToken) {
                 await this.verifySession();
             }
 
-            // Initialize Google Sign-In
-            await this.initGoogleSignIn();
+            // Initialize Google Sign-In in the background; the library script
+            // loads async, so login() waits on this instead of init()
+            this.googleReady = this.initGoogleSignIn();
 
             this.initialized = true;
             return true;
@@ -78,18 +238,14 @@ class AuthManager {
             return;
         }
 
-        // Wait for Google library to load
-        if (typeof google === 'undefined') {
+        // Wait for Google library to load (the script tag is async)
+        const loaded = await this.waitForGoogleLibrary();
+        if (!loaded) {
             console.warn('Google Identity Services not loaded');
             return;
         }
 
-        google.accounts.id.initialize({
-            client_id: this.googleClientId,
-            callback: this.handleGoogleCallback.bind(this),
-            auto_select: false,
-            cancel_on_tap_outside: true,
-        });
+        this.initializeGoogleId('signin');
 
         // Render Google Sign-In button if container exists
         const buttonContainer = document.getElementById('google-signin-button');
@@ -105,33 +261,95 @@ class AuthManager {
         }
     }
 
+    /**
+     * (Re)initialize One Tap for sign-in or sign-up wording
+     */
+    initializeGoogleId(context) {
+        google.accounts.id.initialize({
+            client_id: this.googleClientId,
+            callback: this.handleGoogleCallback.bind(this),
+            auto_select: false,
+            cancel_on_tap_outside: true,
+            context,
+        });
+        this.googleContext = context;
+    }
+
+    /**
+     * Resolve once the Google Identity Services library is available
+     */
+    waitForGoogleLibrary(timeoutMs = 5000) {
+        return new Promise((resolve) => {
+            const started = Date.now();
+            const check = () => {
+                if (typeof google !== 'undefined' && google.accounts?.id) {
+                    resolve(true);
+                } else if (Date.now() - started >= timeoutMs) {
+                    resolve(false);
+                } else {
+                    setTimeout(check, 100);
+                }
+            };
+            check();
+        });
+    }
+
     /**
      * Handle Google Sign-In callback
      */
     async handleGoogleCallback(response) {
+        this.closeSignInFallback();
+        await this.completeGoogleSignIn(CONFIG.api.endpoints.googleAuth, {
+            credential: response.credential,
+        }, 'one_tap');
+    }
+
+    /**
+     * Handle an authorization code from the OAuth code flow
+     */
+    async handleGoogleCode(code, redirectUri, options = {}) {
+        this.closeSignInFallback();
+        await this.completeGoogleSignIn(CONFIG.api.endpoints.googleAuthCode, {
+            code,
+            redirect_uri: redirectUri,
+        }, 'code', options);
+    }
+
+    /**
+     * Exchange a Google credential or code for our own session
+     * @param {{resumePendingActions?: boolean}} [options] - false during page load,
+     *   where initApp() has yet to set up pricing and checkPendingActions() runs after it
+     */
+    async completeGoogleSignIn(endpoint, payload, method, { resumePendingActions = true } = {}) {
         try {
-            showLoading();
+            showLoading(t('progress.signingIn'));
 
             // Send credential to our backend
             const authResponse = await fetch(
-                `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.googleAuth}`,
+                `${CONFIG.api.baseUrl}${endpoint}`,
                 {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                     },
+                    // Lets the API set the httpOnly refresh cookie
+                    credentials: this.store.cookieRefresh ? 'include' : 'same-origin',
                     body: JSON.stringify({
-                        credential: response.credential,
+                        ...payload,
+                        // Redeemed by the backend in invite-only mode
+                        invite_code: sessionStorage.getItem('invite_code') || undefined,
+                        // Campaign/referral that brought the visitor, stored with new accounts
+                        attribution: getAttributionMetadata(),
                     }),
                 }
             );
 
             if (!authResponse.ok) {
-                const error = await authResponse.json();
-                throw new Error(error.detail || 'Authentication failed');
+                throw await ApiError.fromResponse(authResponse, 'googleAuth');
             }
 
             const data = await authResponse.json();
+            sessionStorage.removeItem('invite_code');
 
             // Store tokens and user info
             this.accessToken = data.access_token;
@@ -139,8 +357,12 @@ class AuthManager {
             this.user = data.user;
             this.isAuthenticated = true;
 
-            // Persist to localStorage
+            // Persist to the session store and tell other tabs
             this.saveSession();
+            this.scheduleTokenRefresh();
+            this.broadcastSession();
+
+            this.trackAuthEvent(data.is_new_user ? 'sign_up_completed' : 'sign_in_completed', { method });
 
             // Update UI
             if (typeof updateAuthUI === 'function') {
@@ -148,7 +370,7 @@ class AuthManager {
             }
 
             // Check for pending actions (like selecting a plan)
-            if (typeof checkPendingActions === 'function') {
+            if (resumePendingActions && typeof checkPendingActions === 'function') {
                 await checkPendingActions();
             }
 
@@ -156,13 +378,14 @@ class AuthManager {
 
             // If new user, show welcome message
             if (data.is_new_user) {
-                showMessage(`Welcome to Knowledge Nexus, ${this.user.full_name || this.user.username}!`);
+                showSuccess(t('auth.welcomeNew', { name: this.user.full_name || this.user.username }));
             }
 
         } catch (error) {
             hideLoading();
             console.error('Google auth error:', error);
-            showError(error.message || 'Sign in failed. Please try again.');
+            this.trackAuthEvent('sign_in_failed', { method, error: ApiError.from(error).kind });
+            showApiError(error, { action: 'signIn', retry: () => this.login() });
         }
     }
 
@@ -170,28 +393,174 @@ class AuthManager {
      * Trigger Google Sign-In popup
      */
     async login() {
+        return this.promptGoogle('signin');
+    }
+
+    /**
+     * Trigger Google Sign-In with sign-up wording
+     */
+    async signup() {
+        return this.promptGoogle('signup');
+    }
+
+    /**
+     * Show One Tap, falling back to a dialog when it can't be displayed
+     */
+    async promptGoogle(context) {
         if (!this.googleClientId || this.googleClientId.includes('YOUR_')) {
-            showError('Google Sign-In not configured. Please contact support.');
+            showError(t('auth.google.notConfigured'));
+            return;
+        }
+
+        await this.googleReady;
+        if (typeof google === 'undefined') {
+            showError(t('auth.google.unavailable'));
             return;
         }
 
-        // Use Google One Tap or redirect flow
+        if (this.googleContext !== context) {
+            this.initializeGoogleId(context);
+        }
+
+        this.trackAuthEvent('sign_in_started', { context });
+
         google.accounts.id.prompt((notification) => {
             if (notification.isNotDisplayed()) {
-                // One Tap not available, fall back to button click
-                console.log('One Tap not displayed:', notification.getNotDisplayedReason());
-            }
-            if (notification.isSkippedMoment()) {
-                console.log('One Tap skipped:', notification.getSkippedReason());
+                const reason = notification.getNotDisplayedReason();
+                console.log('One Tap not displayed:', reason);
+                this.trackAuthEvent('sign_in_fallback_shown', { context, reason });
+                this.showSignInFallback(context, t(`auth.oneTap.notDisplayed.${ONE_TAP_NOT_DISPLAYED_REASONS.includes(reason) ? reason : 'unknown_reason'}`));
+            } else if (notification.isSkippedMoment()) {
+                const reason = notification.getSkippedReason();
+                console.log('One Tap skipped:', reason);
+                if (ONE_TAP_DISMISSED_REASONS.includes(reason)) return;
+                this.trackAuthEvent('sign_in_fallback_shown', { context, reason });
+                this.showSignInFallback(context, t(`auth.oneTap.skipped.${ONE_TAP_SKIPPED_REASONS.includes(reason) ? reason : 'issuing_failed'}`));
             }
         });
     }
 
     /**
-     * Trigger Google Sign-In for signup (same flow, different intent)
+     * Show the fallback sign-in dialog with Google's button and the OAuth code flow
      */
-    async signup() {
-        return this.login();
+    showSignInFallback(context, reasonMessage) {
+        this.closeSignInFallback();
+
+        const signup = context === 'signup';
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="signin-fallback" class="fixed inset-0 z-[60] flex items-center justify-center bg-black/70 px-4" role="dialog" aria-modal="true" aria-labelledby="signin-fallback-title">
+                <div class="relative w-full max-w-sm bg-dark border border-white/10 rounded-2xl p-8 text-white text-center">
+                    <button type="button" data-close class="absolute top-4 right-4 text-gray-500 hover:text-white transition" aria-label="${t('common.close')}">&times;</button>
+                    <h2 id="signin-fallback-title" class="text-2xl font-bold mb-2">${t(signup ? 'auth.fallback.signUpTitle' : 'auth.fallback.signInTitle')}</h2>
+                    <p class="text-gray-400 text-sm mb-6">${t('auth.fallback.body', { reason: reasonMessage })}</p>
+                    <div id="signin-fallback-button" class="flex justify-center mb-4"></div>
+                    <div class="flex items-center gap-3 text-xs text-gray-500 mb-4">
+                        <span class="flex-1 h-px bg-white/10"></span>${t('auth.fallback.or')}<span class="flex-1 h-px bg-white/10"></span>
+                    </div>
+                    <button type="button" data-code-popup class="w-full bg-white/10 hover:bg-white/20 py-2.5 rounded-lg text-sm font-semibold transition">
+                        ${t('auth.fallback.popup')}
+                    </button>
+                    <button type="button" data-code-redirect class="mt-3 text-sm text-gray-400 hover:text-white transition">
+                        ${t('auth.fallback.redirect')}
+                    </button>
+                </div>
+            </div>
+        `);
+
+        const dialog = document.getElementById('signin-fallback');
+        dialog.querySelector('[data-close]').addEventListener('click', () => this.closeSignInFallback());
+        dialog.querySelector('[data-code-popup]').addEventListener('click', () => this.startCodeFlow('popup'));
+        dialog.querySelector('[data-code-redirect]').addEventListener('click', () => this.startCodeFlow('redirect'));
+        dialog.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.closeSignInFallback();
+        });
+
+        google.accounts.id.renderButton(document.getElementById('signin-fallback-button'), {
+            theme: 'outline',
+            size: 'large',
+            type: 'standard',
+            text: signup ? 'signup_with' : 'signin_with',
+            shape: 'rectangular',
+            logo_alignment: 'left',
+        });
+
+        dialog.querySelector('[data-code-popup]').focus();
+    }
+
+    /**
+     * Close the fallback sign-in dialog
+     */
+    closeSignInFallback() {
+        document.getElementById('signin-fallback')?.remove();
+    }
+
+    /**
+     * Sign in with the OAuth authorization code flow (popup or full-page redirect)
+     */
+    startCodeFlow(uxMode) {
+        if (!google.accounts.oauth2) {
+            showError(t('auth.google.unavailable'));
+            return;
+        }
+
+        const redirectUri = `${window.location.origin}/`;
+        const state = crypto.getRandomValues(new Uint32Array(4)).join('-');
+
+        if (uxMode === 'redirect') {
+            sessionStorage.setItem('kn_oauth_state', state);
+            sessionStorage.setItem('kn_oauth_return', window.location.pathname + window.location.search + window.location.hash);
+        }
+
+        const client = google.accounts.oauth2.initCodeClient({
+            client_id: this.googleClientId,
+            scope: 'openid email profile',
+            ux_mode: uxMode,
+            redirect_uri: uxMode === 'redirect' ? redirectUri : undefined,
+            state,
+            callback: (response) => {
+                if (response.error || response.state !== state) {
+                    showError(t('auth.google.cancelled'));
+                    return;
+                }
+                // Popup codes are exchanged with the special 'postmessage' redirect URI
+                this.handleGoogleCode(response.code, 'postmessage');
+            },
+        });
+
+        client.requestCode();
+    }
+
+    /**
+     * Complete a redirect-mode code flow when Google sends the user back
+     */
+    async handleOAuthRedirect() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('code');
+        const state = params.get('state');
+        const expectedState = sessionStorage.getItem('kn_oauth_state');
+
+        // Only a sign-in this tab started; other ?code=&state= links are left alone
+        if (!code || !state || !expectedState) return;
+
+        const returnTo = sessionStorage.getItem('kn_oauth_return');
+        sessionStorage.removeItem('kn_oauth_state');
+        sessionStorage.removeItem('kn_oauth_return');
+
+        // Keep the code out of the address bar and history
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+
+        if (state !== expectedState) {
+            showError(t('auth.google.unverified'));
+            return;
+        }
+
+        // Only save the session here; pending actions run once initApp() is done
+        await this.handleGoogleCode(code, `${window.location.origin}/`, { resumePendingActions: false });
+
+        if (this.isAuthenticated && returnTo && returnTo !== window.location.pathname + window.location.hash) {
+            this.leavingPage = true;
+            window.location.replace(returnTo);
+        }
     }
 
     /**
@@ -204,10 +573,22 @@ class AuthManager {
         this.user = null;
         this.isAuthenticated = false;
 
-        // Clear localStorage
-        localStorage.removeItem('kn_access_token');
-        localStorage.removeItem('kn_refresh_token');
-        localStorage.removeItem('kn_user');
+        // Clear the session store and sign out other tabs
+        this.cancelTokenRefresh();
+        this.store.clear();
+        this.broadcast({ type: 'logout' });
+
+        // Ask the API to expire the httpOnly refresh cookie
+        if (this.store.cookieRefresh) {
+            try {
+                await fetch(`${CONFIG.api.baseUrl}${CONFIG.api.endpoints.logout}`, {
+                    method: 'POST',
+                    credentials: 'include',
+                });
+            } catch (error) {
+                console.error('Logout request failed:', error);
+            }
+        }
 
         // Revoke Google session
         if (typeof google !== 'undefined' && this.googleClientId) {
@@ -224,35 +605,68 @@ class AuthManager {
     }
 
     /**
-     * Save session to localStorage
+     * Save session to the configured store
      */
     saveSession() {
-        if (this.accessToken) {
-            localStorage.setItem('kn_access_token', this.accessToken);
-        }
-        if (this.refreshToken) {
-            localStorage.setItem('kn_refresh_token', this.refreshToken);
-        }
-        if (this.user) {
-            localStorage.setItem('kn_user', JSON.stringify(this.user));
-        }
+        this.store.save({
+            accessToken: this.accessToken,
+            refreshToken: this.refreshToken,
+            user: this.user,
+        });
     }
 
     /**
-     * Load session from localStorage
+     * Load session from the configured store
      */
     loadSession() {
-        this.accessToken = localStorage.getItem('kn_access_token');
-        this.refreshToken = localStorage.getItem('kn_refresh_token');
+        this.migrateLegacySession();
 
-        const userJson = localStorage.getItem('kn_user');
-        if (userJson) {
+        const session = this.store.load();
+        this.accessToken = session.accessToken;
+        this.refreshToken = session.refreshToken;
+
+        if (session.user) {
+            this.user = session.user;
+            this.isAuthenticated = true;
+        }
+    }
+
+    /**
+     * Move sessions saved in localStorage by older code into the configured store
+     *
+     * The old inline home page script stored the access token under
+     * `access_token` and the user under `user`. Before session stores were
+     * configurable, AuthManager kept its kn_* keys in localStorage too; those
+     * are removed when another store is in use, so long-lived tokens don't
+     * linger there.
+     */
+    migrateLegacySession() {
+        let session = null;
+
+        const legacyToken = localStorage.getItem('access_token');
+        const legacyUser = localStorage.getItem('user');
+        if (legacyToken) {
+            let user = null;
             try {
-                this.user = JSON.parse(userJson);
-                this.isAuthenticated = true;
+                user = JSON.parse(legacyUser);
             } catch (e) {
-                console.error('Failed to parse user data');
+                console.error('Failed to parse legacy user data');
             }
+            session = { accessToken: legacyToken, refreshToken: null, user };
+        }
+        localStorage.removeItem('access_token');
+        localStorage.removeItem('user');
+
+        if (this.store.storage !== localStorage) {
+            const localStore = new WebStorageSessionStore(localStorage);
+            if (localStore.hasSession()) {
+                session = localStore.load();
+            }
+            localStore.clear();
+        }
+
+        if (session && !this.store.load().accessToken) {
+            this.store.save(session);
         }
     }
 
@@ -288,9 +702,182 @@ class AuthManager {
         this.refreshToken = null;
         this.user = null;
         this.isAuthenticated = false;
-        localStorage.removeItem('kn_access_token');
-        localStorage.removeItem('kn_refresh_token');
-        localStorage.removeItem('kn_user');
+        this.cancelTokenRefresh();
+        this.store.clear();
+        this.broadcast({ type: 'logout' });
+    }
+
+    /**
+     * Listen for session changes made in other tabs
+     *
+     * BroadcastChannel carries logins, refreshes and logouts; the storage
+     * event covers browsers without it when tokens live in localStorage.
+     */
+    initSessionSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(AUTH_CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleSessionMessage(event.data);
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (this.store.storage !== localStorage) return;
+
+            if (event.key === 'kn_access_token' || event.key === null) {
+                if (localStorage.getItem('kn_access_token')) {
+                    this.loadSession();
+                    this.scheduleTokenRefresh();
+                    this.notifySessionChanged();
+                } else if (this.isAuthenticated) {
+                    this.handleSessionMessage({ type: 'logout' });
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply a session change sent by another tab
+     */
+    handleSessionMessage(message) {
+        if (message?.type === 'session') {
+            this.accessToken = message.accessToken;
+            this.refreshToken = message.refreshToken;
+            this.user = message.user || this.user;
+            this.isAuthenticated = Boolean(this.user);
+            this.store.save(message);
+            this.scheduleTokenRefresh();
+        } else if (message?.type === 'logout') {
+            this.accessToken = null;
+            this.refreshToken = null;
+            this.user = null;
+            this.isAuthenticated = false;
+            this.cancelTokenRefresh();
+            this.store.clear();
+        } else {
+            return;
+        }
+
+        this.notifySessionChanged();
+    }
+
+    /**
+     * Send the current session to other tabs
+     */
+    broadcastSession() {
+        this.broadcast({
+            type: 'session',
+            accessToken: this.accessToken,
+            refreshToken: this.refreshToken,
+            user: this.user,
+        });
+    }
+
+    /**
+     * Post a message to other tabs
+     */
+    broadcast(message) {
+        try {
+            this.channel?.postMessage(message);
+        } catch (error) {
+            console.error('Session broadcast failed:', error);
+        }
+    }
+
+    /**
+     * Record a sign-in funnel event when analytics.js is on the page
+     */
+    trackAuthEvent(name, properties) {
+        if (typeof trackEvent === 'function') {
+            trackEvent(name, properties);
+        }
+    }
+
+    /**
+     * Refresh the page's auth UI after a change from another tab
+     */
+    notifySessionChanged() {
+        if (typeof updateAuthUI === 'function') {
+            updateAuthUI();
+        }
+    }
+
+    /**
+     * Read the expiry time (ms since epoch) from a JWT, or null if unreadable
+     */
+    getTokenExpiry(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+            return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether the access token expires within the refresh margin
+     */
+    isTokenExpiring() {
+        const expiry = this.accessToken ? this.getTokenExpiry(this.accessToken) : null;
+        return expiry !== null && expiry - Date.now() <= TOKEN_REFRESH_MARGIN_MS;
+    }
+
+    /**
+     * Schedule a refresh shortly before the access token expires
+     */
+    scheduleTokenRefresh() {
+        this.cancelTokenRefresh();
+
+        const expiry = this.accessToken ? this.getTokenExpiry(this.accessToken) : null;
+        if (expiry === null || !this.canRefresh()) return;
+
+        const delay = Math.min(Math.max(expiry - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0), MAX_TIMER_DELAY_MS);
+        this.refreshTimer = setTimeout(() => this.runScheduledRefresh(), delay);
+    }
+
+    /**
+     * Refresh from the timer, retrying network and server failures with
+     * backoff; the session is only cleared once the API rejects the refresh
+     * or the retries run out
+     */
+    async runScheduledRefresh(attempt = 0) {
+        this.refreshTimer = null;
+
+        // A clamped timer fires long before the token is due
+        if (!this.isTokenExpiring()) {
+            this.scheduleTokenRefresh();
+            return;
+        }
+
+        const refreshed = await this.refreshAccessToken();
+        if (refreshed || !this.isTokenExpiring()) return;
+
+        if (this.refreshFailure === 'transient' && attempt < TOKEN_REFRESH_MAX_RETRIES) {
+            this.refreshTimer = setTimeout(
+                () => this.runScheduledRefresh(attempt + 1),
+                TOKEN_REFRESH_RETRY_MS * 2 ** attempt
+            );
+            return;
+        }
+
+        this.clearSession();
+        this.notifySessionChanged();
+    }
+
+    /**
+     * Check whether a refresh can be attempted with the current store
+     */
+    canRefresh() {
+        return Boolean(this.refreshToken) || this.store.cookieRefresh;
+    }
+
+    /**
+     * Cancel any scheduled refresh
+     */
+    cancelTokenRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
     }
 
     /**
@@ -334,7 +921,12 @@ class AuthManager {
      */
     async fetchWithAuth(url, options = {}) {
         if (!this.accessToken) {
-            throw new Error('Not authenticated');
+            throw new ApiError('Not authenticated', { kind: 'auth', status: 401 });
+        }
+
+        // Refresh up front rather than sending a token that is about to expire
+        if (this.isTokenExpiring()) {
+            await this.refreshAccessToken();
         }
 
         const response = await fetch(url, {
@@ -361,7 +953,7 @@ class AuthManager {
                 });
             } else {
                 this.clearSession();
-                throw new Error('Session expired');
+                throw new ApiError('Session expired', { kind: 'auth', status: 401 });
             }
         }
 
@@ -370,21 +962,55 @@ class AuthManager {
 
     /**
      * Refresh the access token using refresh token
+     * Concurrent callers share one in-flight request
      */
     async refreshAccessToken() {
-        if (!this.refreshToken) return false;
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.runTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Refresh once across all tabs, using the Web Locks API where available
+     */
+    async runTokenRefresh() {
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            return this.requestTokenRefresh();
+        }
 
+        const staleToken = this.accessToken;
+        return navigator.locks.request('kn_token_refresh', async () => {
+            // Another tab refreshed while we waited for the lock
+            if (this.accessToken && this.accessToken !== staleToken && !this.isTokenExpiring()) {
+                return true;
+            }
+            return this.requestTokenRefresh();
+        });
+    }
+
+    /**
+     * POST the refresh token to the API and store the new tokens
+     * With a cookie-backed store the browser sends the httpOnly cookie instead
+     */
+    async requestTokenRefresh() {
+        if (!this.canRefresh()) return false;
+
+        this.refreshFailure = 'transient';
         try {
             const response = await fetch(
-                `${CONFIG.api.baseUrl}/api/auth/refresh`,
+                `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.refreshToken}`,
                 {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({
-                        refresh_token: this.refreshToken,
-                    }),
+                    credentials: this.store.cookieRefresh ? 'include' : 'same-origin',
+                    body: JSON.stringify(
+                        this.store.cookieRefresh ? {} : { refresh_token: this.refreshToken }
+                    ),
                 }
             );
 
@@ -394,9 +1020,17 @@ class AuthManager {
                 if (data.refresh_token) {
                     this.refreshToken = data.refresh_token;
                 }
+                this.refreshFailure = null;
                 this.saveSession();
+                this.scheduleTokenRefresh();
+                this.broadcastSession();
                 return true;
             }
+
+            // Server errors and rate limits are worth retrying; anything else means the refresh token is no good
+            if (response.status < 500 && response.status !== 429) {
+                this.refreshFailure = 'rejected';
+            }
         } catch (error) {
             console.error('Token refresh failed:', error);
         }
@@ -407,44 +1041,55 @@ class AuthManager {
     /**
      * Check if email has a valid invite (for invite-only system)
      */
-    async checkInvite(email) {
+    async checkInvite(email, code = null) {
+        const params = new URLSearchParams();
+        if (email) params.set('email', email);
+        if (code) params.set('code', code);
+
         try {
             const response = await fetch(
-                `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.checkInvite}?email=${encodeURIComponent(email)}`
+                `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.checkInvite}?${params}`
             );
 
             if (response.ok) {
                 return await response.json();
             }
+            console.error(`Invite check failed: HTTP ${response.status}`);
         } catch (error) {
             console.error('Invite check failed:', error);
         }
 
-        return { has_invite: false };
+        // Let the visitor retry instead of sending them to the waitlist
+        return { has_invite: false, error: true };
+    }
+
+    /**
+     * Add an email without an invite to the waitlist
+     */
+    async joinWaitlist(email) {
+        try {
+            const response = await fetch(
+                `${CONFIG.api.baseUrl}${CONFIG.api.endpoints.waitlist}`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ email }),
+                }
+            );
+            return response.ok;
+        } catch (error) {
+            console.error('Waitlist signup failed:', error);
+            return false;
+        }
     }
 }
 
 // Create singleton instance
 const authManager = new AuthManager();
 
-// Helper functions for UI
-function showLoading() {
-    document.body.classList.add('loading');
-}
-
-function hideLoading() {
-    document.body.classList.remove('loading');
-}
-
-function showError(message) {
-    alert(message);
-}
-
-function showMessage(message) {
-    alert(message);
-}
-
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AuthManager, authManager };
+    module.exports = { AuthManager, authManager, createSessionStore };
 }
@@ -0,0 +1,365 @@
+/**
+ * Knowledge Nexus Marketing Site - Blog Search
+ *
+ * Full-text search on /blog/ that runs entirely in the browser.
+ * scripts/build-blog.js embeds the index in the page as
+ * `script#blog-search-index`: each post's title and, per section, its heading
+ * and opening text for snippets, plus an inverted index of
+ * `term -> [[post, weight], ...]` where a term in the title counts more than
+ * one in the tags, headings, summary or body. Both sides split words with
+ * tokenizeSearchText(), so they always agree on terms.
+ *
+ * Each query word matches index terms exactly, as a prefix (for the word being
+ * typed) or within one typo (two for words of 8+ letters). Results must match
+ * every word and are ranked by weight x match quality x rarity.
+ */
+
+const BLOG_SEARCH_STOP_WORDS = new Set([
+    'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so',
+    'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+    'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+const BLOG_SEARCH_MAX_RESULTS = 8;
+
+let blogSearchIndex = null;
+let blogSearchResults = [];
+let blogSearchActive = -1;
+
+// ---------------------------------------------------------------------------
+// Index and ranking - shared with scripts/build-blog.js
+// ---------------------------------------------------------------------------
+
+/**
+ * Lowercase and drop accents, so "Café" matches "cafe"
+ */
+function normalizeSearchWord(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into index terms: words of 2+ characters that aren't stop words
+ */
+function tokenizeSearchText(text) {
+    return String(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .map(normalizeSearchWord)
+        .filter(word => word.length > 1 && !BLOG_SEARCH_STOP_WORDS.has(word));
+}
+
+/**
+ * Damerau-Levenshtein distance (adjacent swaps count as one typo), giving up
+ * with max + 1 once the strings are further apart than `max`
+ */
+function searchEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let distance = Math.min(
+                row[j] + 1,
+                nextRow[j - 1] + 1,
+                row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (previousRow && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMin = Math.min(rowMin, distance);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+}
+
+/**
+ * How well a query word matches an index term, from 1 (exact) to 0 (not at all)
+ * @param {boolean} partial - the word may be unfinished (the last one typed)
+ */
+function matchSearchTerm(word, term, partial) {
+    if (term === word) return 1;
+    if (partial && term.startsWith(word)) return 0.8;
+
+    const maxTypos = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+    if (maxTypos === 0) return 0;
+
+    const typos = searchEditDistance(word, term, maxTypos);
+    if (typos <= maxTypos) return typos === 1 ? 0.6 : 0.4;
+
+    // "retreiv" is a typo of the start of "retrieval"
+    if (partial && word.length >= 5 && term.length > word.length && searchEditDistance(word, term.slice(0, word.length), maxTypos) <= maxTypos) {
+        return 0.4;
+    }
+    return 0;
+}
+
+/**
+ * Rank the index's posts against a query
+ * @returns {Array<{ post: Object, score: number, terms: Set<string> }>} best first;
+ *          `terms` are the index terms that matched, for highlighting
+ */
+function searchBlogIndex(index, query) {
+    const words = [...new Set(tokenizeSearchText(query))];
+    if (words.length === 0) return [];
+
+    // A query ending in a letter may still be being typed
+    const lastIsPartial = /[\p{L}\p{N}]$/u.test(query);
+    const matches = new Map();
+
+    words.forEach((word, position) => {
+        const partial = lastIsPartial && position === words.length - 1;
+        const best = new Map();
+
+        Object.entries(index.terms).forEach(([term, postings]) => {
+            const quality = matchSearchTerm(word, term, partial);
+            if (!quality) return;
+
+            const rarity = Math.log(1 + index.posts.length / postings.length);
+            postings.forEach(([post, weight]) => {
+                const found = best.get(post) || { score: 0, terms: [] };
+                found.score = Math.max(found.score, weight * quality * rarity);
+                found.terms.push(term);
+                best.set(post, found);
+            });
+        });
+
+        best.forEach((found, post) => {
+            const match = matches.get(post) || { post: index.posts[post], score: 0, words: 0, terms: new Set() };
+            match.score += found.score;
+            match.words += 1;
+            found.terms.forEach(term => match.terms.add(term));
+            matches.set(post, match);
+        });
+    });
+
+    return [...matches.values()]
+        .filter(match => match.words === words.length)
+        .sort((a, b) => b.score - a.score || b.post.date.localeCompare(a.post.date))
+        .map(({ post, score, terms }) => ({ post, score, terms }));
+}
+
+// ---------------------------------------------------------------------------
+// Search box
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the embedded index and wire up the search box - runs on DOMContentLoaded,
+ * waiting only for the catalogs rather than the rest of the page to initialize
+ */
+async function initBlogSearch() {
+    const input = document.getElementById('blog-search-input');
+    const data = document.getElementById('blog-search-index');
+    if (!input || !data) return;
+
+    try {
+        blogSearchIndex = JSON.parse(data.textContent);
+    } catch (error) {
+        console.error('Failed to read blog search index:', error);
+        return;
+    }
+
+    // Result counts and "no results" come from the catalogs
+    await i18n.ready;
+
+    input.addEventListener('input', renderBlogSearch);
+    input.addEventListener('keydown', handleBlogSearchKey);
+    input.addEventListener('focus', renderBlogSearch);
+
+    // "/" jumps to the search box from anywhere on the page
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        event.preventDefault();
+        input.focus();
+    });
+
+    document.addEventListener('click', (event) => {
+        if (!event.target.closest('[data-blog-search]')) {
+            closeBlogSearch();
+        }
+    });
+
+    // Show results for anything typed while the catalogs were loading
+    if (document.activeElement === input && input.value.trim()) {
+        renderBlogSearch();
+    }
+}
+
+/**
+ * Search for the current input and render the result list
+ */
+function renderBlogSearch() {
+    const input = document.getElementById('blog-search-input');
+    if (!blogSearchIndex || !input) return;
+
+    const list = document.getElementById('blog-search-results');
+    const status = document.getElementById('blog-search-status');
+    const query = input.value.trim();
+
+    blogSearchResults = query ? searchBlogIndex(blogSearchIndex, input.value).slice(0, BLOG_SEARCH_MAX_RESULTS) : [];
+    blogSearchActive = -1;
+    input.removeAttribute('aria-activedescendant');
+
+    if (!query) {
+        closeBlogSearch();
+        status.textContent = '';
+        return;
+    }
+
+    if (blogSearchResults.length === 0) {
+        list.innerHTML = `
+            <li role="presentation" class="px-4 py-6 text-center text-sm text-gray-400">${escapeSearchHtml(t('blog.search.noResults', { query }))}</li>`;
+        status.textContent = t('blog.search.noResults', { query });
+    } else {
+        list.innerHTML = blogSearchResults.map(renderBlogSearchResult).join('');
+        status.textContent = t('blog.search.count', { count: blogSearchResults.length });
+    }
+
+    list.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * One result: category and date, highlighted title, the matching section and a snippet
+ */
+function renderBlogSearchResult(result, position) {
+    const { post, terms } = result;
+    const section = findSearchSection(post, terms);
+    const href = section?.id ? `${post.url}#${section.id}` : post.url;
+    const date = new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'medium' }).format(new Date(`${post.date}T00:00:00`));
+
+    return `
+            <li id="blog-search-option-${position}" role="option" aria-selected="false" class="border-b border-white/5 last:border-b-0">
+                <a href="${escapeSearchHtml(href)}" tabindex="-1" onclick="trackBlogSearchSelection(${position})" class="block px-4 py-3 hover:bg-white/5 transition">
+                    <div class="flex items-center space-x-2 text-xs text-gray-500 mb-1">
+                        <span>${escapeSearchHtml(post.category)}</span>
+                        <span>&middot;</span>
+                        <span>${date}</span>
+                    </div>
+                    <div class="font-semibold text-white">${highlightSearchTerms(post.title, terms)}</div>
+                    ${section?.heading ? `<div class="text-xs text-primary mt-0.5"># ${highlightSearchTerms(section.heading, terms)}</div>` : ''}
+                    <p class="text-sm text-gray-400 mt-1">${highlightSearchTerms(section?.text || post.excerpt, terms)}</p>
+                </a>
+            </li>`;
+}
+
+/**
+ * The section a result links to and quotes: the first whose heading matched,
+ * else the first whose opening text did. None when only the title, tags or a
+ * later part of a section matched, and the post's excerpt is shown instead
+ */
+function findSearchSection(post, terms) {
+    const matches = text => tokenizeSearchText(text).some(term => terms.has(term));
+    return post.sections.find(section => section.heading && matches(section.heading))
+        || post.sections.find(section => matches(section.text));
+}
+
+/**
+ * Escape text and wrap the words that matched the query in <mark>
+ */
+function highlightSearchTerms(text, terms) {
+    return text.split(/([\p{L}\p{N}]+)/u).map((part, index) => {
+        // Odd parts are the words captured by the split
+        if (index % 2 === 1 && terms.has(normalizeSearchWord(part))) {
+            return `<mark class="bg-primary/30 text-white rounded px-0.5">${escapeSearchHtml(part)}</mark>`;
+        }
+        return escapeSearchHtml(part);
+    }).join('');
+}
+
+function escapeSearchHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Arrow keys move through the results, Enter opens one, Escape closes the list
+ * (or clears the box when it's already closed)
+ */
+function handleBlogSearchKey(event) {
+    const input = event.target;
+    const count = blogSearchResults.length;
+
+    switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (count === 0) return;
+            event.preventDefault();
+            if (input.getAttribute('aria-expanded') !== 'true') {
+                renderBlogSearch();
+            }
+            setBlogSearchActive(event.key === 'ArrowDown'
+                ? (blogSearchActive + 1) % count
+                : (blogSearchActive - 1 + count) % count);
+            break;
+        case 'Enter': {
+            if (count === 0) return;
+            event.preventDefault();
+            const position = Math.max(blogSearchActive, 0);
+            trackBlogSearchSelection(position);
+            window.location.href = document.querySelector(`#blog-search-option-${position} a`).getAttribute('href');
+            break;
+        }
+        case 'Escape':
+            if (input.getAttribute('aria-expanded') === 'true') {
+                closeBlogSearch();
+            } else {
+                input.value = '';
+                renderBlogSearch();
+            }
+            break;
+    }
+}
+
+function setBlogSearchActive(position) {
+    const input = document.getElementById('blog-search-input');
+    blogSearchActive = position;
+
+    document.querySelectorAll('#blog-search-results [role="option"]').forEach((option, index) => {
+        const active = index === position;
+        option.setAttribute('aria-selected', String(active));
+        option.classList.toggle('bg-white/10', active);
+        if (active) {
+            input.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+function closeBlogSearch() {
+    const input = document.getElementById('blog-search-input');
+    document.getElementById('blog-search-results').classList.add('hidden');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    blogSearchActive = -1;
+}
+
+function trackBlogSearchSelection(position) {
+    const result = blogSearchResults[position];
+    if (!result) return;
+    trackEvent('blog_search_selected', {
+        query: document.getElementById('blog-search-input').value.trim(),
+        post: result.post.url,
+        position: position + 1,
+    });
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', initBlogSearch);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tokenizeSearchText, normalizeSearchWord, searchEditDistance, searchBlogIndex };
+}
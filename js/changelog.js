@@ -0,0 +1,81 @@
+/**
+ * Knowledge Nexus Marketing Site - Changelog
+ *
+ * Renders the Nexus Connect release history on /changelog/ from the same
+ * manifest as the downloads page. Each release gets an anchor (#v0.2.0) that
+ * the downloads page links to as its release notes. The Atom feed of the same
+ * releases is built by scripts/build-release-feed.js and committed as
+ * changelog/feed.xml; deploy.sh only checks that it is up to date.
+ */
+
+let changelogManifest = null;
+
+/**
+ * Load the manifest and render the release list - called from initApp()
+ */
+async function initChangelog() {
+    const list = document.getElementById('changelog-releases');
+    if (!list) return;
+
+    try {
+        changelogManifest = await loadReleaseManifest();
+    } catch (error) {
+        console.error('Failed to load release manifest:', error);
+        document.getElementById('changelog-status').textContent = t('changelog.loadFailed');
+        return;
+    }
+
+    document.getElementById('changelog-status').classList.add('hidden');
+    // The feed only exists once a release has a date
+    document.getElementById('changelog-feed').classList.toggle('hidden', !changelogManifest.releases.some(release => release.date));
+    renderChangelog();
+    markReleaseSeen(changelogManifest);
+
+    // The list didn't exist when the browser tried the #v... fragment
+    if (window.location.hash) {
+        document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+    }
+}
+
+/**
+ * Render every release, newest first
+ */
+function renderChangelog() {
+    if (!changelogManifest) return;
+
+    document.getElementById('changelog-releases').innerHTML = changelogManifest.releases
+        .map(renderChangelogEntry)
+        .join('');
+}
+
+/**
+ * One release: version, date, breaking changes and notes
+ */
+function renderChangelogEntry(release) {
+    const isDefaultChannel = release.channel === CONFIG.downloads.defaultChannel;
+    const date = release.date
+        ? new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'long' }).format(new Date(`${release.date}T00:00:00`))
+        : null;
+    const downloadUrl = isDefaultChannel ? '/downloads/' : `/downloads/?channel=${release.channel}`;
+
+    return `
+            <article id="v${release.version}" class="scroll-mt-24 bg-white/5 border border-white/10 rounded-2xl p-8 mb-6">
+                <div class="flex flex-wrap items-center gap-3 mb-4">
+                    <h2 class="text-2xl font-bold">${t('downloads.version', { version: release.version })}</h2>
+                    ${isDefaultChannel ? '' : `<span class="text-xs font-semibold uppercase bg-yellow-400/10 text-yellow-400 px-2 py-1 rounded">${t(`downloads.channels.${release.channel}`)}</span>`}
+                    ${date ? `<span class="text-sm text-gray-400">${t('downloads.released', { date })}</span>` : ''}
+                </div>
+                ${release.breaking?.length ? `
+                <div class="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-4">
+                    <p class="font-semibold text-red-400 mb-2">${t('changelog.breaking')}</p>
+                    <ul class="list-disc list-inside space-y-1 text-sm text-gray-300">
+                        ${release.breaking.map(change => `<li>${change}</li>`).join('')}
+                    </ul>
+                </div>` : ''}
+                ${release.notes?.length ? `
+                <ul class="list-disc list-inside space-y-2 text-gray-300 mb-4">
+                    ${release.notes.map(note => `<li>${note}</li>`).join('')}
+                </ul>` : ''}
+                <a href="${downloadUrl}" class="text-sm text-primary hover:underline">${t('changelog.download', { version: release.version })}</a>
+            </article>`;
+}
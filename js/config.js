@@ -2,10 +2,41 @@
  * Knowledge Nexus Marketing Site Configuration
  *
  * This file contains all configurable settings for the marketing site.
- * Update these values based on your environment (development, staging, production).
+ * The values below are production's; js/environment.js applies the matching
+ * `environments` overrides (and any deployed config.<env>.json) on top.
  */
 
 const CONFIG = {
+    // Environments (js/environment.js)
+    // The environment is picked by hostname; on non-production hosts `?env=`
+    // switches it for the rest of the browser session. Unknown hosts are
+    // treated as development so previews never reach the live API.
+    // `overrides` are merged over the production values in this file.
+    environments: {
+        production: {
+            hostnames: ['knowledgenexus.ai', 'www.knowledgenexus.ai'],
+            overrides: {},
+        },
+        staging: {
+            hostnames: ['staging.knowledgenexus.ai', 'knowledge-nexus-marketing-staging.s3-website-us-east-1.amazonaws.com'],
+            overrides: {
+                api: { baseUrl: 'https://api.staging.knowledgenexus.ai' },
+                portal: { url: 'https://app.staging.knowledgenexus.ai' },
+                // Test-mode key and price IDs come from config.staging.json
+                stripe: { publishableKey: null, priceIds: null },
+            },
+        },
+        development: {
+            hostnames: ['localhost', '127.0.0.1'],
+            overrides: {
+                api: { baseUrl: 'http://localhost:8080' },
+                portal: { url: 'http://localhost:3000' },
+                // Test-mode key and price IDs come from config.development.json
+                stripe: { publishableKey: null, priceIds: null },
+            },
+        },
+    },
+
     // Google OAuth Configuration
     // Get your client ID from Google Cloud Console -> APIs & Services -> Credentials
     google: {
@@ -16,45 +47,97 @@ const CONFIG = {
     api: {
         // Base URL for the Knowledge Nexus API
         baseUrl: 'https://api.knowledgenexus.ai',
-        // For local development:
-        // baseUrl: 'http://localhost:8080',
 
         // Endpoints
         endpoints: {
             googleAuth: '/api/auth/google',
+            googleAuthCode: '/api/auth/google/code',
             googleClientId: '/api/auth/google/client-id',
+            refreshToken: '/api/auth/refresh',
+            logout: '/api/auth/logout',
             checkInvite: '/api/auth/check-invite',
+            waitlist: '/api/auth/waitlist',
             userProfile: '/api/auth/me',
             subscription: '/api/v1/subscription',
             checkout: '/api/v1/checkout/session',
             billingPortal: '/api/v1/subscription/portal',
+            portalHandoff: '/api/auth/handoff',
+            enterpriseContact: '/api/v1/contact/enterprise',
+            newsletter: '/api/v1/newsletter/subscribe',
+            analytics: '/api/v1/analytics/events',
+            promoCode: '/api/v1/checkout/promo',
+            downloadToken: '/api/v1/downloads/token',
         }
     },
 
+    // Session Configuration
+    auth: {
+        // Where the signed-in session is kept:
+        //   'localStorage'   - tokens persist across pages and browser restarts
+        //   'sessionStorage' - tokens in sessionStorage, cleared when the tab closes
+        //   'memory'         - tokens in memory only; the API keeps the refresh
+        //                      token in an httpOnly cookie. Opt-in: the API doesn't
+        //                      set that cookie yet, so every page load would sign out
+        sessionStore: 'localStorage',
+    },
+
+    // First-party analytics - nothing is collected until the visitor consents
+    analytics: {
+        enabled: true,
+        // Send as soon as this many events are queued...
+        batchSize: 10,
+        // ...or at least this often
+        flushIntervalMs: 10000,
+    },
+
+    // Currencies prices can be shown and charged in. Visitors get the currency
+    // of the region in their browser language (e.g. en-GB -> GBP), falling back
+    // to the default, and can switch with the selector in the pricing section.
+    // A currency is only offered once every paid tier has `prices` and Stripe
+    // price IDs in it; until then it stays hidden. The default must be complete.
+    currency: {
+        default: 'USD',
+        supported: ['USD', 'EUR', 'GBP'],
+        regions: {
+            GB: 'GBP',
+            AT: 'EUR', BE: 'EUR', CY: 'EUR', DE: 'EUR', EE: 'EUR', ES: 'EUR', FI: 'EUR', FR: 'EUR', GR: 'EUR', HR: 'EUR',
+            IE: 'EUR', IT: 'EUR', LT: 'EUR', LU: 'EUR', LV: 'EUR', MT: 'EUR', NL: 'EUR', PT: 'EUR', SI: 'EUR', SK: 'EUR',
+        },
+    },
+
+    // Languages (js/i18n.js)
+    // Each locale needs a catalog at `${path}/${locale}.json`. Messages missing
+    // from a catalog fall back to defaultLocale. Tier copy below is English;
+    // catalogs can override it under `tiers.<key>`.
+    i18n: {
+        defaultLocale: 'en',
+        locales: {
+            en: 'English',
+            es: 'Español',
+            de: 'Deutsch',
+        },
+        path: '/locales',
+    },
+
     // Stripe Configuration
     stripe: {
         publishableKey: 'pk_live_51Qw5vCBCBTjCJoT9VPwYyvuUNl89ZjKKxTwA0LEdPIfswQM6RY46AMY9XhiCt7DFuY5HO9bEkQXqGcZG9llwS1bG00H3aB7ZpB',
-        // Price IDs for each tier (from Stripe Dashboard)
+        // Price IDs for each tier, currency and billing period (from Stripe Dashboard)
         priceIds: {
             personal: {
-                monthly: 'price_personal_monthly',
-                annual: 'price_personal_annual',
+                USD: { monthly: 'price_personal_monthly', annual: 'price_personal_annual' },
             },
             pro: {
-                monthly: 'price_pro_monthly',
-                annual: 'price_pro_annual',
+                USD: { monthly: 'price_pro_monthly', annual: 'price_pro_annual' },
             },
             family: {
-                monthly: 'price_family_monthly',
-                annual: 'price_family_annual',
+                USD: { monthly: 'price_family_monthly', annual: 'price_family_annual' },
             },
             team: {
-                monthly: 'price_team_monthly',
-                annual: 'price_team_annual',
+                USD: { monthly: 'price_team_monthly', annual: 'price_team_annual' },
             },
             business: {
-                monthly: 'price_business_monthly',
-                annual: 'price_business_annual',
+                USD: { monthly: 'price_business_monthly', annual: 'price_business_annual' },
             },
         }
     },
@@ -63,18 +146,33 @@ const CONFIG = {
     portal: {
         // URL to redirect authenticated users to the main application
         url: 'https://app.knowledgenexus.ai',
-        // For local development:
-        // url: 'http://localhost:3000',
+
+        // Portal page that redeems the one-time handoff code from enterPortal()
+        handoffPath: '/auth/handoff',
+    },
+
+    // Nexus Connect downloads (js/downloads.js)
+    // Builds are published by adding them to the release manifest
+    downloads: {
+        manifestUrl: '/downloads/releases.json',
+        defaultChannel: 'stable',
     },
 
     // Feature Flags
     features: {
         // Enable annual pricing toggle
         annualPricing: true,
-        // Enable enterprise contact form
+        // Enable enterprise contact form (posts to endpoints.enterpriseContact);
+        // when off, "Contact Sales" opens an email to contact.enterprise
         enterpriseContact: true,
         // Show beta badge on new features
         showBetaBadges: false,
+        // Require an invite (code or invited email) before Google sign-up;
+        // visitors without one can join the waitlist
+        inviteOnly: false,
+        // Require sign-in for every Nexus Connect download; builds that list
+        // tiers in the release manifest require sign-in either way
+        authenticatedDownloads: false,
     },
 
     // Social Links
@@ -93,11 +191,18 @@ const CONFIG = {
     },
 
     // Tier Information (for UI display)
+    // The pricing section on the home page is rendered from these entries,
+    // grouped by `group` ('individual' or 'business') in declaration order.
+    // `prices` holds the monthly and annual price in each supported currency.
     tiers: {
         free: {
             name: 'Free',
-            monthlyPrice: 0,
-            annualPrice: 0,
+            tagline: 'Get started',
+            group: 'individual',
+            cta: 'Get Started',
+            prices: {
+                USD: { monthly: 0, annual: 0 },
+            },
             features: [
                 '1 Knowledge Base',
                 '100 documents',
@@ -108,8 +213,12 @@ const CONFIG = {
         },
         personal: {
             name: 'Personal',
-            monthlyPrice: 12,
-            annualPrice: 120,
+            tagline: 'Power user',
+            group: 'individual',
+            cta: 'Start Trial',
+            prices: {
+                USD: { monthly: 12, annual: 120 },
+            },
             features: [
                 '3 Knowledge Bases',
                 '1,000 documents',
@@ -121,8 +230,14 @@ const CONFIG = {
         },
         pro: {
             name: 'Pro',
-            monthlyPrice: 29,
-            annualPrice: 290,
+            tagline: 'Advanced features',
+            group: 'individual',
+            badge: 'POPULAR',
+            highlight: 'primary',
+            cta: 'Start Trial',
+            prices: {
+                USD: { monthly: 29, annual: 290 },
+            },
             features: [
                 '10 Knowledge Bases',
                 '10,000 documents',
@@ -135,8 +250,12 @@ const CONFIG = {
         },
         family: {
             name: 'Family',
-            monthlyPrice: 49,
-            annualPrice: 490,
+            tagline: 'Up to 6 users',
+            group: 'individual',
+            cta: 'Start Trial',
+            prices: {
+                USD: { monthly: 49, annual: 490 },
+            },
             features: [
                 'Up to 6 users',
                 '20 Knowledge Bases',
@@ -148,8 +267,11 @@ const CONFIG = {
         },
         team: {
             name: 'Team',
-            monthlyPrice: 19,
-            annualPrice: 190,
+            group: 'business',
+            cta: 'Start Trial',
+            prices: {
+                USD: { monthly: 19, annual: 190 },
+            },
             perUser: true,
             minUsers: 5,
             features: [
@@ -163,8 +285,13 @@ const CONFIG = {
         },
         business: {
             name: 'Business',
-            monthlyPrice: 35,
-            annualPrice: 350,
+            group: 'business',
+            badge: 'BEST VALUE',
+            highlight: 'secondary',
+            cta: 'Start Trial',
+            prices: {
+                USD: { monthly: 35, annual: 350 },
+            },
             perUser: true,
             minUsers: 10,
             features: [
@@ -179,8 +306,9 @@ const CONFIG = {
         },
         enterprise: {
             name: 'Enterprise',
-            monthlyPrice: null,
-            annualPrice: null,
+            tagline: 'Custom deployment',
+            group: 'business',
+            cta: 'Contact Sales',
             custom: true,
             features: [
                 'Unlimited everything',
@@ -194,12 +322,7 @@ const CONFIG = {
     },
 };
 
-// Freeze config to prevent accidental modifications
-Object.freeze(CONFIG);
-Object.freeze(CONFIG.google);
-Object.freeze(CONFIG.api);
-Object.freeze(CONFIG.stripe);
-Object.freeze(CONFIG.portal);
+// CONFIG is frozen by js/environment.js once the environment's values are applied
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,518 @@
+/**
+ * Knowledge Nexus Marketing Site - Downloads
+ *
+ * Renders the downloads page from the release manifest at
+ * CONFIG.downloads.manifestUrl (loaded by js/releases.js), so publishing a
+ * build only means adding it there. The manifest lists releases newest first:
+ *
+ *   { platforms: { macos: { requirements } },
+ *     releases: [{ version, channel, date?, notes?, breaking?, notes_url?,
+ *                  files: [{ platform, arch, type, url?, size, sha256, tiers? }] }] }
+ *
+ * The visitor's OS and architecture are detected to recommend a build. The
+ * channel (stable/beta) comes from `?channel=`; other releases in the channel
+ * are listed under "Older versions".
+ *
+ * Builds that list `tiers` or have no `url`, or every build when
+ * CONFIG.features.authenticatedDownloads is on, need sign-in: the API hands out
+ * a signed, expiring URL and a device activation token. Gated builds have no
+ * static file, so the manifest leaves out their `url`. Users whose plan isn't
+ * listed are offered an upgrade.
+ */
+
+let releaseManifest = null;
+let detectedPlatform = { platform: null, arch: null };
+let activationToken = null;
+
+/**
+ * Load the manifest and render the page - called from initApp()
+ */
+async function initDownloads() {
+    const cards = document.getElementById('download-cards');
+    if (!cards) return;
+
+    detectedPlatform = await detectPlatform();
+
+    try {
+        releaseManifest = await loadReleaseManifest();
+    } catch (error) {
+        console.error('Failed to load release manifest:', error);
+        document.getElementById('downloads-status').textContent = t('downloads.loadFailed');
+        return;
+    }
+
+    document.getElementById('downloads-status').classList.add('hidden');
+    renderDownloads();
+    markReleaseSeen(releaseManifest);
+}
+
+/**
+ * Best guess at the visitor's OS and CPU architecture
+ * @returns {Promise<{platform: string|null, arch: string|null}>}
+ */
+async function detectPlatform() {
+    const userAgentData = navigator.userAgentData;
+
+    // Client hints know the real architecture (Apple Silicon Macs report "Intel" in the user agent)
+    if (userAgentData?.getHighEntropyValues) {
+        try {
+            const { platform, architecture, bitness } = await userAgentData.getHighEntropyValues(['architecture', 'bitness']);
+            return {
+                platform: { macOS: 'macos', Windows: 'windows', Linux: 'linux' }[platform] || null,
+                arch: architecture === 'arm' ? 'arm64' : (architecture === 'x86' && bitness === '64' ? 'x64' : null),
+            };
+        } catch (e) {
+            // Hints refused - fall back to the user agent string
+        }
+    }
+
+    const userAgent = navigator.userAgent;
+    let platform = null;
+    let arch = null;
+
+    // Phones and tablets get no recommendation
+    if (!/Android|iPhone|iPad/.test(userAgent)) {
+        if (/Mac/.test(userAgent)) {
+            platform = 'macos';
+        } else if (/Win/.test(userAgent)) {
+            platform = 'windows';
+        } else if (/Linux|X11/.test(userAgent)) {
+            platform = 'linux';
+        }
+    }
+
+    if (/arm64|aarch64/i.test(userAgent)) {
+        arch = 'arm64';
+    } else if (platform !== 'macos' && /x86_64|x64|Win64|amd64/i.test(userAgent)) {
+        arch = 'x64';
+    }
+
+    return { platform, arch };
+}
+
+/**
+ * The release channel being viewed
+ */
+function getDownloadChannel() {
+    const requested = new URLSearchParams(window.location.search).get('channel');
+    return getChannelReleases(requested).length > 0 ? requested : CONFIG.downloads.defaultChannel;
+}
+
+/**
+ * Releases in a channel, newest first
+ */
+function getChannelReleases(channel) {
+    return (releaseManifest?.releases || []).filter(release => release.channel === channel);
+}
+
+/**
+ * Switch channel, keeping it in the URL so the view can be shared
+ */
+function setDownloadChannel(channel) {
+    const url = new URL(window.location.href);
+    if (channel === CONFIG.downloads.defaultChannel) {
+        url.searchParams.delete('channel');
+    } else {
+        url.searchParams.set('channel', channel);
+    }
+    window.history.replaceState(null, '', url.toString());
+    renderDownloads();
+}
+
+/**
+ * Render the channel tabs, platform cards and older versions
+ */
+function renderDownloads() {
+    if (!releaseManifest) return;
+
+    const channel = getDownloadChannel();
+    const [latest, ...older] = getChannelReleases(channel);
+
+    renderChannelTabs(channel);
+    document.getElementById('beta-notice')?.classList.toggle('hidden', channel === CONFIG.downloads.defaultChannel);
+
+    const summary = document.getElementById('release-summary');
+    summary.innerHTML = latest ? renderReleaseSummary(latest) : '';
+
+    const recommended = latest && findRecommendedFile(latest);
+    renderRecommendedDownload(latest, recommended);
+    document.querySelectorAll('#download-cards [data-platform]').forEach(card => {
+        const platform = card.dataset.platform;
+        const files = latest ? latest.files.filter(file => file.platform === platform) : [];
+
+        card.querySelector('[data-platform-requirements]').textContent = releaseManifest.platforms?.[platform]?.requirements || '';
+        card.querySelector('[data-platform-builds]').innerHTML = files.length > 0
+            ? files.map(file => renderDownloadFile(latest, file, file === recommended)).join('')
+            : `<div class="block w-full text-center bg-white/10 py-3 rounded-lg font-semibold text-gray-400">${t('downloads.comingSoon')}</div>
+                    <p class="text-gray-500 text-xs mt-2 text-center">${t('downloads.buildInProgress')}</p>`;
+
+        card.classList.toggle('opacity-60', files.length === 0);
+        card.classList.toggle('card-glow', files.length > 0);
+        card.classList.toggle('ring-2', recommended?.platform === platform);
+        card.classList.toggle('ring-primary', recommended?.platform === platform);
+    });
+
+    renderOlderReleases(older);
+}
+
+/**
+ * Stable/Beta switch - hidden while only one channel has releases
+ */
+function renderChannelTabs(current) {
+    const tabs = document.getElementById('release-channels');
+    if (!tabs) return;
+
+    const channels = [...new Set(releaseManifest.releases.map(release => release.channel))];
+    tabs.classList.toggle('hidden', channels.length < 2);
+    tabs.innerHTML = channels.map(channel => `
+        <button type="button" onclick="setDownloadChannel('${channel}')" aria-pressed="${channel === current}"
+            class="px-5 py-2 rounded-full transition ${channel === current ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'}">
+            ${t(`downloads.channels.${channel}`)}
+        </button>`).join('');
+}
+
+/**
+ * Prominent button for the build that matches the visitor's device
+ */
+function renderRecommendedDownload(release, file) {
+    const container = document.getElementById('recommended-download');
+    if (!container) return;
+
+    container.classList.toggle('hidden', !file);
+    if (!file) return;
+
+    container.innerHTML = `
+        ${renderDownloadLink(release, file,
+            'inline-block bg-primary hover:bg-primary/90 text-white px-8 py-4 rounded-xl text-lg font-semibold transition',
+            t('downloads.downloadFor', { platform: getPlatformName(file.platform) }))}
+        <p class="text-gray-500 text-sm mt-2">${getArchLabel(file.platform, file.arch)} &bull; v${release.version} &bull; ${formatFileSize(file.size)}</p>
+        ${renderAccessNote(file)}`;
+}
+
+/**
+ * "Version 0.2.0 · Released 3 March 2026 · Release notes"
+ */
+function renderReleaseSummary(release) {
+    const parts = [t('downloads.version', { version: release.version })];
+    if (release.date) {
+        const date = new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'long' }).format(new Date(`${release.date}T00:00:00`));
+        parts.push(t('downloads.released', { date }));
+    }
+    const notesUrl = release.notes_url || `/changelog/#v${release.version}`;
+    parts.push(`<a href="${notesUrl}" class="text-primary hover:underline">${t('downloads.releaseNotes')}</a>`);
+    return parts.join(' &middot; ');
+}
+
+/**
+ * The build for the visitor's OS and architecture, if this release has one
+ * Without a known architecture the platform's first build is recommended
+ */
+function findRecommendedFile(release) {
+    const { platform, arch } = detectedPlatform;
+    if (!platform) return null;
+
+    const files = release.files.filter(file => file.platform === platform);
+    return files.find(file => file.arch === arch)
+        || files.find(file => file.arch === 'universal')
+        || (arch ? null : files[0])
+        || null;
+}
+
+/**
+ * Download button, size and checksum for one build
+ */
+function renderDownloadFile(release, file, recommended) {
+    const buttonClass = recommended || release.files.filter(other => other.platform === file.platform).length === 1
+        ? 'bg-primary hover:bg-primary/90'
+        : 'bg-white/10 hover:bg-white/20';
+
+    return `
+                    <div class="mb-4 last:mb-0">
+                        ${recommended ? `<p class="text-xs font-semibold text-primary mb-2">${t('downloads.recommended')}</p>` : ''}
+                        ${renderDownloadLink(release, file, `block w-full text-center ${buttonClass} py-3 rounded-lg font-semibold transition`, `
+                            ${t('downloads.download', { type: file.type.toUpperCase() })}
+                            <span class="block text-xs font-normal text-white/70">${getArchLabel(file.platform, file.arch)}</span>`)}
+                        <p class="text-gray-500 text-xs mt-2 text-center">v${release.version} &bull; ${formatFileSize(file.size)}</p>
+                        ${renderAccessNote(file)}
+                        ${renderChecksum(file)}
+                    </div>`;
+}
+
+/**
+ * Link to a build: the static file, or a button that requests a signed URL for gated builds
+ */
+function renderDownloadLink(release, file, className, content) {
+    const build = `'${release.version}', '${file.platform}', '${file.arch}'`;
+    if (isGatedDownload(file)) {
+        return `<button type="button" onclick="requestDownload(${build})" class="${className}">${content}</button>`;
+    }
+    return `<a href="${file.url}" onclick="trackDownload(${build})" class="${className}">${content}</a>`;
+}
+
+/**
+ * Which plans include a build, or that it needs sign-in
+ */
+function renderAccessNote(file) {
+    if (file.tiers?.length && userSubscription && hasDownloadAccess(file)) {
+        return `<p class="text-green-400 text-xs mt-1 text-center">${t('downloads.includedInPlan')}</p>`;
+    }
+    if (file.tiers?.length) {
+        return `<p class="text-yellow-400 text-xs mt-1 text-center">${t('downloads.requiresTier', { tiers: formatTierList(file.tiers) })}</p>`;
+    }
+    if (isGatedDownload(file) && !authManager.isAuthenticated) {
+        return `<p class="text-gray-500 text-xs mt-1 text-center">${t('downloads.signInRequired')}</p>`;
+    }
+    return '';
+}
+
+/**
+ * SHA-256 with a copy button
+ */
+function renderChecksum(file) {
+    if (!/^[a-f0-9]{64}$/i.test(file.sha256 || '')) {
+        return `<p class="text-gray-600 text-xs mt-1 text-center">${t('downloads.noChecksum')}</p>`;
+    }
+
+    return `
+                        <div class="flex items-center gap-2 mt-2 text-xs">
+                            <span class="text-gray-500">SHA-256</span>
+                            <code class="flex-1 truncate text-gray-400" title="${file.sha256}">${file.sha256}</code>
+                            <button type="button" onclick="copyChecksum('${file.sha256}')" class="text-gray-400 hover:text-white transition">${t('downloads.copy')}</button>
+                        </div>`;
+}
+
+/**
+ * Previous releases in the channel, collapsed by default
+ */
+function renderOlderReleases(releases) {
+    const container = document.getElementById('older-releases');
+    if (!container) return;
+
+    container.classList.toggle('hidden', releases.length === 0);
+    container.querySelector('[data-older-releases-list]').innerHTML = releases.map(release => `
+        <li class="py-4 border-t border-white/10 first:border-t-0">
+            <p class="text-sm text-white mb-2">${renderReleaseSummary(release)}</p>
+            <ul class="space-y-2">
+                ${release.files.map(file => `
+                <li class="text-sm">
+                    ${renderDownloadLink(release, file, 'text-primary hover:underline text-left',
+                        `${getPlatformName(file.platform)} &middot; ${getArchLabel(file.platform, file.arch)} (${file.type.toUpperCase()}, ${formatFileSize(file.size)})`)}
+                    ${renderAccessNote(file)}
+                    ${renderChecksum(file)}
+                </li>`).join('')}
+            </ul>
+        </li>`).join('');
+}
+
+/**
+ * Platform display name, e.g. "macOS"
+ */
+function getPlatformName(platform) {
+    return t(`downloads.platforms.${platform}`);
+}
+
+/**
+ * Architecture in the platform's own terms, e.g. "Apple Silicon" rather than "arm64"
+ */
+function getArchLabel(platform, arch) {
+    if (platform === 'macos' && (arch === 'arm64' || arch === 'x64')) {
+        return t(`downloads.arch.macos.${arch}`);
+    }
+    return t(`downloads.arch.${arch}`);
+}
+
+/**
+ * Bytes as a short size, e.g. "4.9 MB"
+ */
+function formatFileSize(bytes) {
+    return new Intl.NumberFormat(i18n.locale, {
+        style: 'unit',
+        unit: 'megabyte',
+        maximumFractionDigits: 1,
+    }).format(bytes / (1024 * 1024));
+}
+
+/**
+ * Plan names for a list of tier keys in pricing order, e.g. "Pro, Team or Business"
+ */
+function formatTierList(tiers) {
+    const names = Object.keys(CONFIG.tiers)
+        .filter(tier => tiers.includes(tier))
+        .map(tier => CONFIG.tiers[tier].name);
+    return new Intl.ListFormat(i18n.locale, { type: 'disjunction' }).format(names);
+}
+
+/**
+ * Whether a build is fetched through the API instead of its static URL
+ */
+function isGatedDownload(file) {
+    return CONFIG.features.authenticatedDownloads || file.tiers?.length > 0 || !file.url;
+}
+
+/**
+ * Whether the user's plan includes a build - assumed so until the subscription is known
+ */
+function hasDownloadAccess(file) {
+    if (!file.tiers?.length || !userSubscription) return true;
+    return file.tiers.includes(userSubscription.tier);
+}
+
+/**
+ * Get a signed download URL and activation token for a gated build, signing in first if needed
+ */
+async function requestDownload(version, platform, arch) {
+    const release = releaseManifest?.releases.find(candidate => candidate.version === version);
+    const file = release?.files.find(candidate => candidate.platform === platform && candidate.arch === arch);
+    if (!file) return;
+
+    if (!authManager.isAuthenticated) {
+        // Picked up by resumePendingDownload() once signed in
+        sessionStorage.setItem('pending_download', JSON.stringify({ version, platform, arch }));
+        await login();
+        return;
+    }
+
+    if (file.tiers?.length && !userSubscription) {
+        await fetchSubscription();
+    }
+    if (!hasDownloadAccess(file)) {
+        showDownloadUpsell(release, file);
+        return;
+    }
+
+    try {
+        showLoading(t('downloads.preparing'));
+
+        const access = await apiClient.createDownloadToken({ version, platform, arch, channel: release.channel });
+
+        hideLoading();
+        trackDownload(version, platform, arch);
+        showActivationToken(file, access);
+        window.location.href = access.download_url;
+    } catch (error) {
+        hideLoading();
+
+        // The API has the final say on which plans include a build
+        if (error.status === 403 && error.code === 'tier_required') {
+            showDownloadUpsell(release, file);
+            return;
+        }
+
+        console.error('Download token error:', error);
+        showApiError(error, { action: 'prepareDownload', retry: () => requestDownload(version, platform, arch) });
+    }
+}
+
+/**
+ * Continue a download that was waiting for sign-in - called from checkPendingActions()
+ * @returns {Promise<boolean>} true if a download was resumed
+ */
+async function resumePendingDownload() {
+    const pending = sessionStorage.getItem('pending_download');
+    if (!pending || !authManager.isAuthenticated || !releaseManifest) return false;
+
+    sessionStorage.removeItem('pending_download');
+    const { version, platform, arch } = JSON.parse(pending);
+
+    // Drop the "sign in to download" notes
+    renderDownloads();
+    await requestDownload(version, platform, arch);
+    return true;
+}
+
+/**
+ * Show the activation token next to the download that just started
+ */
+function showActivationToken(file, access) {
+    activationToken = access.activation_token;
+
+    const panel = document.getElementById('download-access');
+    panel.innerHTML = `
+        <h3 class="text-xl font-semibold mb-2">${t('downloads.activation.title')}</h3>
+        <p class="text-gray-400 text-sm mb-4">${t('downloads.activation.instructions', { platform: getPlatformName(file.platform) })}</p>
+        <div class="flex items-center gap-3 bg-dark border border-white/10 rounded-lg px-4 py-3 mb-3">
+            <code class="flex-1 break-all text-sm text-white">${access.activation_token}</code>
+            <button type="button" onclick="copyActivationToken()" class="text-sm text-gray-400 hover:text-white transition">${t('downloads.copy')}</button>
+        </div>
+        <p class="text-gray-500 text-xs">
+            ${t('downloads.activation.notStarted')}
+            <a href="${access.download_url}" class="text-primary hover:underline">${t('downloads.activation.tryAgain')}</a>
+        </p>`;
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Offer the cheapest plan that includes a build the user's plan doesn't
+ */
+function showDownloadUpsell(release, file) {
+    const tier = Object.keys(CONFIG.tiers).find(key => file.tiers?.includes(key));
+    const build = `${getPlatformName(file.platform)} ${getArchLabel(file.platform, file.arch)} v${release.version}`;
+
+    const panel = document.getElementById('download-access');
+    panel.innerHTML = `
+        <h3 class="text-xl font-semibold mb-2">${t('downloads.upsell.title')}</h3>
+        <p class="text-gray-400 text-sm mb-4">${file.tiers?.length
+            ? t('downloads.upsell.body', { build, tiers: formatTierList(file.tiers) })
+            : t('downloads.upsell.bodyAnyPlan', { build })}</p>
+        ${tier
+            ? `<button type="button" onclick="selectPlan('${tier}')" class="bg-primary hover:bg-primary/90 text-white px-6 py-3 rounded-lg font-semibold transition">${t('downloads.upsell.cta', { tier: CONFIG.tiers[tier].name })}</button>`
+            : `<a href="/#pricing" class="inline-block bg-primary hover:bg-primary/90 text-white px-6 py-3 rounded-lg font-semibold transition">${t('downloads.upsell.viewPlans')}</a>`}`;
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    trackEvent('download_upsell_shown', {
+        version: release.version,
+        platform: file.platform,
+        arch: file.arch,
+        current_tier: userSubscription?.tier,
+        suggested_tier: tier,
+    });
+}
+
+/**
+ * Copy a checksum for verifying the download
+ */
+async function copyChecksum(sha256) {
+    await copyToClipboard(sha256, t('downloads.checksumCopied'));
+}
+
+/**
+ * Copy the activation token to paste into Nexus Connect
+ */
+async function copyActivationToken() {
+    await copyToClipboard(activationToken, t('downloads.activation.copied'));
+}
+
+/**
+ * Write text to the clipboard and confirm with a toast
+ */
+async function copyToClipboard(text, successMessage) {
+    try {
+        await navigator.clipboard.writeText(text);
+        showSuccess(successMessage);
+    } catch (error) {
+        console.error('Clipboard write failed:', error);
+        showError(t('downloads.copyFailed'));
+    }
+}
+
+/**
+ * Record which build was downloaded
+ */
+function trackDownload(version, platform, arch) {
+    trackEvent('download_started', {
+        version,
+        platform,
+        arch,
+        channel: getDownloadChannel(),
+        detected_platform: detectedPlatform.platform,
+    });
+}
+
+// Export functions for HTML onclick handlers
+window.setDownloadChannel = setDownloadChannel;
+window.copyChecksum = copyChecksum;
+window.copyActivationToken = copyActivationToken;
+window.requestDownload = requestDownload;
+window.trackDownload = trackDownload;
@@ -0,0 +1,277 @@
+/**
+ * Knowledge Nexus Marketing Site - Enterprise Contact Form
+ *
+ * When CONFIG.features.enterpriseContact is on, contactSales() opens this form
+ * instead of a mailto: link. Inquiries are POSTed to the enterpriseContact
+ * endpoint; the mailto link is only offered if that request fails. Spam is
+ * kept out with a hidden honeypot field, a minimum time to fill the form and a
+ * per-browser cooldown between submissions.
+ */
+
+// Bots tend to submit instantly; people take longer than this from their first keystroke or choice
+const ENTERPRISE_MIN_FILL_MS = 3000;
+// One inquiry per browser per this long
+const ENTERPRISE_COOLDOWN_MS = 60 * 1000;
+
+const ENTERPRISE_TEAM_SIZES = ['1-49', '50-249', '250-999', '1000+'];
+
+// Each has an enterprise.deployments label
+const ENTERPRISE_DEPLOYMENTS = ['cloud', 'private_cloud', 'on_prem', 'undecided'];
+
+// When the visitor first changed a field since the modal opened; 0 until then
+let enterpriseFormStartedAt = 0;
+
+/**
+ * Check whether inquiries go through the form rather than email
+ */
+function isEnterpriseFormEnabled() {
+    return Boolean(CONFIG.features.enterpriseContact);
+}
+
+/**
+ * Show the enterprise contact modal
+ */
+function openEnterpriseContact() {
+    let modal = document.getElementById('enterprise-contact');
+    if (!modal) {
+        document.body.insertAdjacentHTML('beforeend', renderEnterpriseContact());
+        modal = document.getElementById('enterprise-contact');
+        i18n.translatePage(modal);
+        modal.querySelector('form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            submitEnterpriseInquiry();
+        });
+        // Prefilled fields don't count, so the clock starts with the visitor's own input
+        modal.querySelector('form').addEventListener('input', () => {
+            enterpriseFormStartedAt ||= Date.now();
+        });
+        modal.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') closeEnterpriseContact();
+        });
+    }
+
+    const form = modal.querySelector('form');
+    if (authManager.isAuthenticated && authManager.user) {
+        form.elements.name.value ||= authManager.user.full_name || '';
+        form.elements.email.value ||= authManager.user.email || '';
+    }
+
+    setEnterpriseErrors({});
+    showEnterpriseStep('form');
+    enterpriseFormStartedAt = 0;
+
+    modal.classList.remove('hidden');
+    form.elements.name.focus();
+}
+
+/**
+ * Hide the enterprise contact modal
+ */
+function closeEnterpriseContact() {
+    document.getElementById('enterprise-contact')?.classList.add('hidden');
+}
+
+/**
+ * Build the modal markup
+ */
+function renderEnterpriseContact() {
+    const inputClass = 'w-full px-4 py-3 rounded-lg bg-white/10 border border-white/10 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent';
+
+    const field = (name, labelKey, label, control) => `
+        <label class="block">
+            <span class="block text-sm text-gray-400 mb-1" data-i18n="${labelKey}">${label}</span>
+            ${control}
+            <span data-field-error="${name}" class="hidden block mt-1 text-xs text-red-400"></span>
+        </label>
+    `;
+
+    return `
+        <div id="enterprise-contact" class="hidden fixed inset-0 z-[60] flex items-center justify-center bg-black/70 px-4 overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="enterprise-contact-title">
+            <div class="relative w-full max-w-lg my-8 bg-dark border border-white/10 rounded-2xl p-8 text-white">
+                <button type="button" onclick="closeEnterpriseContact()" class="absolute top-4 right-4 text-gray-500 hover:text-white transition" aria-label="Close" data-i18n-attr="aria-label:common.close">&times;</button>
+
+                <div data-enterprise-step="form">
+                    <h2 id="enterprise-contact-title" class="text-2xl font-bold mb-2" data-i18n="enterprise.title">Talk to our enterprise team</h2>
+                    <p class="text-gray-400 text-sm mb-6" data-i18n="enterprise.intro">Tell us about your organization and we'll get back to you about deployment, security and pricing.</p>
+                    <form class="space-y-4" novalidate>
+                        <div class="grid sm:grid-cols-2 gap-4">
+                            ${field('name', 'enterprise.fields.name', 'Your name', `<input name="name" type="text" autocomplete="name" class="${inputClass}">`)}
+                            ${field('email', 'enterprise.fields.email', 'Work email', `<input name="email" type="email" autocomplete="email" class="${inputClass}">`)}
+                        </div>
+                        ${field('company', 'enterprise.fields.company', 'Company', `<input name="company" type="text" autocomplete="organization" class="${inputClass}">`)}
+                        <div class="grid sm:grid-cols-2 gap-4">
+                            ${field('team_size', 'enterprise.fields.teamSize', 'Team size', `
+                                <select name="team_size" class="${inputClass}">
+                                    <option value="" data-i18n="common.select">Select...</option>
+                                    ${ENTERPRISE_TEAM_SIZES.map(size => `<option value="${size}" data-i18n="enterprise.teamSizeOption" data-i18n-params='{"size":"${size}"}'>${t('enterprise.teamSizeOption', { size })}</option>`).join('')}
+                                </select>
+                            `)}
+                            ${field('deployment', 'enterprise.fields.deployment', 'Deployment preference', `
+                                <select name="deployment" class="${inputClass}">
+                                    <option value="" data-i18n="common.select">Select...</option>
+                                    ${ENTERPRISE_DEPLOYMENTS.map(value => `<option value="${value}" data-i18n="enterprise.deployments.${value}">${t(`enterprise.deployments.${value}`)}</option>`).join('')}
+                                </select>
+                            `)}
+                        </div>
+                        ${field('use_case', 'enterprise.fields.useCase', 'What would you use Knowledge Nexus for?', `<textarea name="use_case" rows="4" class="${inputClass}"></textarea>`)}
+
+                        <!-- Honeypot: hidden from people, filled in by bots -->
+                        <div class="hidden" aria-hidden="true">
+                            <label>Website <input name="website" type="text" tabindex="-1" autocomplete="off"></label>
+                        </div>
+
+                        <p data-enterprise-error class="hidden text-sm text-red-400" role="alert"></p>
+                        <button type="submit" class="w-full bg-primary hover:bg-primary/90 py-3 rounded-lg font-semibold transition" data-i18n="enterprise.send">
+                            Send Inquiry
+                        </button>
+                    </form>
+                </div>
+
+                <div data-enterprise-step="sent" class="hidden text-center">
+                    <h2 class="text-2xl font-bold mb-2" data-i18n="enterprise.sent.title">Thanks - we'll be in touch</h2>
+                    <p class="text-gray-400 text-sm" data-enterprise-sent-message></p>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Switch between the form and the confirmation
+ */
+function showEnterpriseStep(step) {
+    document.querySelectorAll('#enterprise-contact [data-enterprise-step]').forEach(element => {
+        element.classList.toggle('hidden', element.dataset.enterpriseStep !== step);
+    });
+}
+
+/**
+ * Read the form into the request payload
+ */
+function getEnterpriseInquiry() {
+    const form = document.querySelector('#enterprise-contact form');
+    return {
+        name: form.elements.name.value.trim(),
+        email: form.elements.email.value.trim(),
+        company: form.elements.company.value.trim(),
+        team_size: form.elements.team_size.value,
+        use_case: form.elements.use_case.value.trim(),
+        deployment: form.elements.deployment.value,
+    };
+}
+
+/**
+ * Check required fields
+ * @returns {Object<string, string>} field name -> message
+ */
+function validateEnterpriseInquiry(inquiry) {
+    const errors = {};
+
+    if (!inquiry.name) errors.name = t('enterprise.errors.name');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(inquiry.email)) errors.email = t('common.invalidEmail');
+    if (!inquiry.company) errors.company = t('enterprise.errors.company');
+    if (!ENTERPRISE_TEAM_SIZES.includes(inquiry.team_size)) errors.team_size = t('enterprise.errors.teamSize');
+    if (!ENTERPRISE_DEPLOYMENTS.includes(inquiry.deployment)) errors.deployment = t('enterprise.errors.deployment');
+    if (inquiry.use_case.length < 10) errors.use_case = t('enterprise.errors.useCase');
+
+    return errors;
+}
+
+/**
+ * Show per-field messages and an optional form-level message (may contain a link)
+ */
+function setEnterpriseErrors(fieldErrors, formErrorHtml = '') {
+    const modal = document.getElementById('enterprise-contact');
+
+    modal.querySelectorAll('[data-field-error]').forEach(element => {
+        const message = fieldErrors[element.dataset.fieldError] || '';
+        element.textContent = message;
+        element.classList.toggle('hidden', !message);
+    });
+
+    const formError = modal.querySelector('[data-enterprise-error]');
+    formError.innerHTML = formErrorHtml;
+    formError.classList.toggle('hidden', !formErrorHtml);
+}
+
+/**
+ * Validate and send the inquiry
+ */
+async function submitEnterpriseInquiry() {
+    const modal = document.getElementById('enterprise-contact');
+    const form = modal.querySelector('form');
+    const inquiry = getEnterpriseInquiry();
+
+    const fieldErrors = validateEnterpriseInquiry(inquiry);
+    if (Object.keys(fieldErrors).length > 0) {
+        setEnterpriseErrors(fieldErrors);
+        form.elements[Object.keys(fieldErrors)[0]].focus();
+        return;
+    }
+
+    // Looks like a bot - act as if it worked without sending anything
+    if (form.elements.website.value || !enterpriseFormStartedAt || Date.now() - enterpriseFormStartedAt < ENTERPRISE_MIN_FILL_MS) {
+        showEnterpriseSent(inquiry.email);
+        return;
+    }
+
+    const lastSentAt = Number(localStorage.getItem('kn_enterprise_inquiry_at')) || 0;
+    if (Date.now() - lastSentAt < ENTERPRISE_COOLDOWN_MS) {
+        setEnterpriseErrors({}, t('enterprise.errors.cooldown'));
+        return;
+    }
+
+    setEnterpriseErrors({});
+    const submit = form.querySelector('[type="submit"]');
+    submit.disabled = true;
+
+    try {
+        await apiClient.submitEnterpriseInquiry({ ...inquiry, page: window.location.pathname });
+        localStorage.setItem('kn_enterprise_inquiry_at', String(Date.now()));
+        showEnterpriseSent(inquiry.email);
+    } catch (error) {
+        console.error('Enterprise inquiry failed:', error);
+        const apiError = ApiError.from(error);
+
+        if (apiError.kind === 'validation' && Object.keys(apiError.fields).length > 0) {
+            setEnterpriseErrors(apiError.fields);
+        } else {
+            const link = `<a href="${buildEnterpriseMailto(inquiry)}" class="underline hover:text-white">${t('enterprise.errors.emailUs', { address: CONFIG.contact.enterprise })}</a>`;
+            setEnterpriseErrors({}, t('enterprise.errors.sendFailed', { link }));
+        }
+    } finally {
+        submit.disabled = false;
+    }
+}
+
+/**
+ * Show the confirmation step
+ */
+function showEnterpriseSent(email) {
+    // The email is set as text inside the catalog's sentence, never parsed as markup
+    const strong = document.createElement('strong');
+    strong.className = 'text-white';
+    strong.textContent = email;
+    document.querySelector('#enterprise-contact [data-enterprise-sent-message]').innerHTML = t('enterprise.sent.body', { email: strong.outerHTML });
+    document.querySelector('#enterprise-contact form').reset();
+    showEnterpriseStep('sent');
+}
+
+/**
+ * mailto: link carrying the inquiry, for when the endpoint is down
+ */
+function buildEnterpriseMailto(inquiry) {
+    const subject = encodeURIComponent(t('enterprise.mail.subject', { company: inquiry.company }));
+    const body = encodeURIComponent(t('enterprise.mail.body', {
+        name: inquiry.name,
+        company: inquiry.company,
+        teamSize: inquiry.team_size,
+        deployment: t(`enterprise.deployments.${inquiry.deployment}`),
+        useCase: inquiry.use_case,
+    }));
+
+    return `mailto:${CONFIG.contact.enterprise}?subject=${subject}&body=${body}`;
+}
+
+// Export functions for HTML onclick handlers
+window.closeEnterpriseContact = closeEnterpriseContact;
@@ -0,0 +1,204 @@
+/**
+ * Knowledge Nexus Marketing Site - Environment Configuration
+ *
+ * Works out which environment the page is running in and adjusts CONFIG for
+ * it before anything talks to the API:
+ *
+ *   1. `?env=staging` on a non-production host (remembered for the session)
+ *   2. the hostname, matched against CONFIG.environments[env].hostnames
+ *   3. development, for any other host
+ *
+ * The environment's `overrides` are applied as soon as this file loads.
+ * loadEnvironmentConfig() then merges `/config.<env>.json` when deploy.sh has
+ * uploaded one, validates the result and freezes CONFIG.
+ */
+
+const ENV_STORAGE_KEY = 'kn_env';
+
+// Production's API and Stripe prices, kept to make sure no other environment uses them
+const PRODUCTION_API_BASE_URL = CONFIG.api.baseUrl;
+const PRODUCTION_STRIPE_PRICE_IDS = new Set(Object.values(CONFIG.stripe.priceIds)
+    .flatMap(currencies => Object.values(currencies))
+    .flatMap(periods => Object.values(periods)));
+
+const STRIPE_KEY_PREFIXES = {
+    production: 'pk_live_',
+    staging: 'pk_test_',
+    development: 'pk_test_',
+};
+
+/**
+ * Raised when CONFIG is unusable for the current environment
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - one message per invalid setting
+     */
+    constructor(environment, problems) {
+        super(`Invalid ${environment} configuration:\n- ${problems.join('\n- ')}`);
+        this.name = 'ConfigError';
+        this.environment = environment;
+        this.problems = problems;
+    }
+}
+
+/**
+ * The environment for this page load
+ * @returns {string} a key of CONFIG.environments
+ */
+function resolveEnvironment() {
+    const environments = CONFIG.environments;
+    const hostEnvironment = Object.keys(environments)
+        .find(name => environments[name].hostnames.includes(window.location.hostname)) || 'development';
+
+    // The live site can't be pointed anywhere else
+    if (hostEnvironment === 'production') {
+        return hostEnvironment;
+    }
+
+    const requested = new URLSearchParams(window.location.search).get('env');
+    if (requested && environments[requested]) {
+        sessionStorage.setItem(ENV_STORAGE_KEY, requested);
+        return requested;
+    }
+
+    const saved = sessionStorage.getItem(ENV_STORAGE_KEY);
+    return environments[saved] ? saved : hostEnvironment;
+}
+
+/**
+ * Deep-merge settings into CONFIG; objects are merged, anything else replaced
+ */
+function applyConfigOverrides(target, overrides) {
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject && target[key] && typeof target[key] === 'object') {
+            applyConfigOverrides(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+/**
+ * Merge the deployed config.<env>.json, validate and freeze CONFIG - called first in initApp()
+ * CONFIG is frozen even when invalid, so the rest of the page can still use it
+ * @throws {ConfigError}
+ */
+async function loadEnvironmentConfig() {
+    const problems = [];
+
+    try {
+        const response = await fetch(`/config.${CONFIG.environment}.json`, { cache: 'no-cache' });
+        // No override file: S3 answers 404, hosts with an index.html fallback
+        // (docker/nginx.conf) answer 200 with the page instead of JSON
+        const isJson = /\bjson\b/.test(response.headers.get('content-type') || '');
+        if (response.ok && isJson) {
+            applyConfigOverrides(CONFIG, await response.json());
+        }
+    } catch (error) {
+        problems.push(`config.${CONFIG.environment}.json could not be read: ${error.message}`);
+    }
+
+    problems.push(...validateConfig(CONFIG));
+    freezeConfig(CONFIG);
+
+    if (problems.length > 0) {
+        throw new ConfigError(CONFIG.environment, problems);
+    }
+}
+
+/**
+ * Check the settings the site can't work without
+ * @returns {string[]} problems found, empty when valid
+ */
+function validateConfig(config) {
+    const problems = [];
+    const environment = config.environment;
+
+    const checkUrl = (path, value) => {
+        try {
+            const url = new URL(value);
+            if (environment !== 'development' && url.protocol !== 'https:') {
+                problems.push(`${path} must use https outside development (got ${value})`);
+            }
+        } catch (e) {
+            problems.push(`${path} must be an absolute URL (got ${JSON.stringify(value)})`);
+        }
+    };
+
+    checkUrl('api.baseUrl', config.api?.baseUrl);
+    checkUrl('portal.url', config.portal?.url);
+
+    if (environment !== 'production' && config.api?.baseUrl === PRODUCTION_API_BASE_URL) {
+        problems.push(`api.baseUrl points at the production API in ${environment}`);
+    }
+
+    if (!config.portal?.handoffPath?.startsWith('/')) {
+        problems.push('portal.handoffPath must be a path starting with "/"');
+    }
+
+    if (!/\.apps\.googleusercontent\.com$/.test(config.google?.clientId || '')) {
+        problems.push('google.clientId must be an OAuth client ID ending in .apps.googleusercontent.com');
+    }
+
+    // Stripe settings left unset (staging, development) must come from config.<env>.json
+    const keyPrefix = STRIPE_KEY_PREFIXES[environment];
+    const publishableKey = config.stripe?.publishableKey;
+    if (!publishableKey) {
+        problems.push(`stripe.publishableKey is not set - add the ${environment} key to config.${environment}.json`);
+    } else if (!new RegExp(`^${keyPrefix}[A-Za-z0-9]+$`).test(publishableKey)) {
+        // Also catches placeholders such as pk_test_REPLACE_ME
+        problems.push(`stripe.publishableKey must be a ${keyPrefix}... key in ${environment} (got ${publishableKey})`);
+    }
+
+    const priceIds = config.stripe?.priceIds;
+    if (!priceIds) {
+        problems.push(`stripe.priceIds is not set - add the ${environment} price IDs to config.${environment}.json`);
+    }
+
+    if (!config.currency?.supported?.includes(config.currency.default)) {
+        problems.push('currency.default must be one of currency.supported');
+    }
+
+    // Other currencies are hidden until configured, but the default is always shown
+    Object.entries(config.tiers || {}).forEach(([key, tier]) => {
+        if (!tier.custom && !tier.prices?.[config.currency?.default]) {
+            problems.push(`tiers.${key}.prices.${config.currency?.default} is missing`);
+        }
+    });
+
+    if (!config.i18n?.locales?.[config.i18n.defaultLocale]) {
+        problems.push('i18n.defaultLocale must be one of i18n.locales');
+    }
+
+    // Every paid price shown on the site needs a Stripe price to check out with
+    Object.entries(priceIds ? config.tiers || {} : {}).forEach(([key, tier]) => {
+        Object.entries(tier.prices || {}).forEach(([currency, prices]) => {
+            Object.entries(prices).forEach(([period, amount]) => {
+                const priceId = priceIds[key]?.[currency]?.[period];
+                if (amount > 0 && !priceId) {
+                    problems.push(`stripe.priceIds.${key}.${currency}.${period} is missing`);
+                } else if (environment !== 'production' && PRODUCTION_STRIPE_PRICE_IDS.has(priceId)) {
+                    problems.push(`stripe.priceIds.${key}.${currency}.${period} is a production price in ${environment}`);
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Freeze CONFIG and its nested settings to prevent accidental modifications
+ */
+function freezeConfig(value) {
+    Object.values(value).forEach(child => {
+        if (child && typeof child === 'object') freezeConfig(child);
+    });
+    return Object.freeze(value);
+}
+
+// Apply the environment's overrides before any other script reads CONFIG
+CONFIG.environment = resolveEnvironment();
+applyConfigOverrides(CONFIG, CONFIG.environments[CONFIG.environment].overrides);
@@ -0,0 +1,150 @@
+/**
+ * Knowledge Nexus Marketing Site - Error Model
+ *
+ * ApiError carries what went wrong with a backend call: the HTTP status, the
+ * message parsed from the response body (including FastAPI's `detail` arrays)
+ * and a kind - network, auth, billing, validation or server - that
+ * describeError() turns into user-facing copy. showApiError() in notify.js
+ * shows that copy with a matching retry action.
+ */
+
+// Endpoints whose 400/409 responses are billing problems rather than bad input
+const BILLING_ENDPOINTS = ['checkout', 'billingPortal', 'subscription'];
+
+class ApiError extends Error {
+    /**
+     * @param {string} message - Developer-facing message
+     * @param {{kind?: string, status?: number, detail?: string|null, fields?: Object<string, string>, code?: string|null}} options
+     */
+    constructor(message, { kind = 'unknown', status = 0, detail = null, fields = {}, code = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.detail = detail;
+        this.fields = fields;
+        this.code = code;
+    }
+
+    /**
+     * Build an error from a non-ok response
+     * @param {Response} response
+     * @param {string} [endpoint] - CONFIG.api.endpoints key, used to spot billing failures
+     */
+    static async fromResponse(response, endpoint = null) {
+        let payload = null;
+        try {
+            payload = await response.json();
+        } catch (e) {
+            // Empty or non-JSON body (e.g. a proxy error page)
+        }
+
+        const { detail, fields, code } = parseErrorPayload(payload);
+        return new ApiError(
+            `Request${endpoint ? ` to ${endpoint}` : ''} failed with status ${response.status}${detail ? `: ${detail}` : ''}`,
+            { kind: classifyStatus(response.status, endpoint), status: response.status, detail, fields, code }
+        );
+    }
+
+    /**
+     * Wrap anything thrown into an ApiError; fetch() rejects with a TypeError when offline
+     */
+    static from(error) {
+        if (error instanceof ApiError) return error;
+        if (error instanceof TypeError) {
+            return new ApiError(error.message, { kind: 'network' });
+        }
+        return new ApiError(error?.message || String(error));
+    }
+
+    /**
+     * Whether trying the same request again might succeed
+     */
+    get retryable() {
+        return ['network', 'server', 'unknown'].includes(this.kind);
+    }
+}
+
+/**
+ * Pull a readable message, per-field messages and an error code out of a
+ * backend error body. Handles `{detail: "..."}`, FastAPI validation errors
+ * (`{detail: [{loc, msg, type}]}`) and `{detail: {message, code}}`.
+ */
+function parseErrorPayload(payload) {
+    const result = { detail: null, fields: {}, code: null };
+    if (!payload || typeof payload !== 'object') return result;
+
+    const detail = payload.detail ?? payload.message ?? payload.error;
+
+    if (typeof detail === 'string') {
+        result.detail = detail;
+    } else if (Array.isArray(detail)) {
+        const messages = detail.map((item) => {
+            if (typeof item === 'string') return item;
+
+            // loc is e.g. ['body', 'price_id'] - drop the request part
+            const field = (item.loc || []).filter(part => !['body', 'query', 'path'].includes(part)).join('.');
+            if (field) {
+                result.fields[field] = item.msg;
+            }
+            return field ? `${field}: ${item.msg}` : item.msg;
+        });
+        result.detail = messages.filter(Boolean).join('; ') || null;
+    } else if (detail && typeof detail === 'object') {
+        result.detail = detail.message || detail.msg || null;
+        result.code = detail.code || null;
+    }
+
+    result.code = result.code || payload.code || null;
+    return result;
+}
+
+/**
+ * Map an HTTP status to an error kind
+ */
+function classifyStatus(status, endpoint = null) {
+    if (status === 0) return 'network';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 402) return 'billing';
+    if (status === 422) return 'validation';
+    if (status >= 500 || status === 429) return 'server';
+    if (status === 400 || status === 409) {
+        return BILLING_ENDPOINTS.includes(endpoint) ? 'billing' : 'validation';
+    }
+    return 'unknown';
+}
+
+/**
+ * User-facing copy for an error
+ * @param {ApiError} error
+ * @param {string} action - errors.actions key for what the user was doing, e.g. 'startCheckout'
+ * @returns {string}
+ */
+function describeError(error, action) {
+    const params = { action: t(`errors.actions.${action}`) };
+
+    switch (error.kind) {
+        case 'network':
+            return t('errors.api.network', params);
+        case 'auth':
+            if (error.detail) return error.detail;
+            return t(error.status === 403 ? 'errors.api.noAccess' : 'errors.api.sessionExpired', params);
+        case 'billing':
+            return error.detail
+                ? t('errors.api.withDetail', { ...params, detail: error.detail })
+                : t('errors.api.billing', { ...params, support: CONFIG.contact.support });
+        case 'validation':
+            return error.detail
+                ? t('errors.api.withDetail', { ...params, detail: error.detail })
+                : t('errors.api.validation', params);
+        case 'server':
+            return t(error.status === 429 ? 'errors.api.rateLimited' : 'errors.api.server', params);
+        default:
+            return t('errors.api.unknown', params);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiError, parseErrorPayload, classifyStatus, describeError };
+}
@@ -0,0 +1,179 @@
+/**
+ * Knowledge Nexus Marketing Site - Internationalization
+ *
+ * Copy comes from JSON message catalogs in CONFIG.i18n.path (`/locales/en.json`,
+ * `/locales/de.json`, ...). Keys are dotted paths into the catalog, e.g.
+ * `pricing.currentPlan`. Strings may contain `{name}` placeholders, and a
+ * message that varies by count is an object keyed by plural category
+ * (`{"one": "...", "other": "..."}`) picked with Intl.PluralRules.
+ * Missing messages fall back to the default locale's catalog, then to the key.
+ *
+ * Static markup opts in with attributes that translatePage() fills in:
+ *   data-i18n="nav.pricing"                   textContent
+ *   data-i18n-html="hero.title"               innerHTML (catalog markup is trusted)
+ *   data-i18n-attr="placeholder:x;aria-label:y"  attributes
+ *   data-i18n-params='{"count":5}'           placeholder values for the element's data-i18n key
+ * The English copy stays in the HTML, so pages read fine before catalogs load.
+ */
+
+const LOCALE_STORAGE_KEY = 'kn_locale';
+
+class I18n {
+    constructor() {
+        // Set from CONFIG in init(), once the environment's config is merged
+        this.locale = undefined;
+        this.catalogs = {};
+        this.pluralRules = new Intl.PluralRules();
+        // Resolves once init() has loaded the visitor's catalog, for code that starts before initApp() calls it
+        this.ready = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+    }
+
+    /**
+     * Load catalogs for the visitor's language and translate the page
+     */
+    async init() {
+        this.locale = CONFIG.i18n.defaultLocale;
+        this.pluralRules = new Intl.PluralRules(this.locale);
+
+        const locale = this.detectLocale();
+
+        await this.loadCatalog(CONFIG.i18n.defaultLocale);
+        await this.setLocale(locale, { persist: false });
+        this.resolveReady();
+    }
+
+    /**
+     * Pick the saved language, else the browser's, else the default
+     */
+    detectLocale() {
+        const { locales, defaultLocale } = CONFIG.i18n;
+
+        const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (locales[saved]) return saved;
+
+        for (const language of navigator.languages || [navigator.language]) {
+            if (!language) continue;
+            if (locales[language]) return language;
+
+            // 'de-AT' -> 'de'
+            const base = language.split('-')[0];
+            if (locales[base]) return base;
+        }
+
+        return defaultLocale;
+    }
+
+    /**
+     * Fetch a locale's catalog once
+     * @returns {Promise<boolean>} whether the catalog is available
+     */
+    async loadCatalog(locale) {
+        if (this.catalogs[locale]) return true;
+
+        try {
+            const response = await fetch(`${CONFIG.i18n.path}/${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.catalogs[locale] = await response.json();
+            return true;
+        } catch (error) {
+            console.error(`Failed to load "${locale}" messages:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Switch language and re-translate the page
+     * Stays on the current language if the catalog can't be loaded
+     */
+    async setLocale(locale, { persist = true } = {}) {
+        if (!CONFIG.i18n.locales[locale]) return false;
+        if (!await this.loadCatalog(locale)) return false;
+
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(locale);
+        document.documentElement.lang = locale;
+
+        if (persist) {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        }
+
+        this.translatePage();
+        return true;
+    }
+
+    /**
+     * Raw catalog value for a key in the current locale, else the default locale
+     * @returns {string|Object|Array|undefined}
+     */
+    lookup(key) {
+        const find = catalog => key.split('.').reduce((value, part) => value?.[part], catalog);
+        return find(this.catalogs[this.locale]) ?? find(this.catalogs[CONFIG.i18n.defaultLocale]);
+    }
+
+    /**
+     * Translate a key
+     * @param {string} key - dotted catalog path
+     * @param {Object} [params] - placeholder values; `count` also selects the plural form
+     */
+    t(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object' && typeof params.count === 'number') {
+            message = message[this.pluralRules.select(params.count)] ?? message.other;
+        }
+        if (typeof message !== 'string') return key;
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            return typeof params[name] === 'number'
+                ? new Intl.NumberFormat(this.locale).format(params[name])
+                : params[name];
+        });
+    }
+
+    /**
+     * Fill in every data-i18n* element under root
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+}
+
+// Create singleton instance
+const i18n = new I18n();
+
+/**
+ * Shorthand for i18n.t()
+ */
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, i18n, t };
+}
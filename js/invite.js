@@ -0,0 +1,221 @@
+/**
+ * Knowledge Nexus Marketing Site - Invite Gate
+ *
+ * When CONFIG.features.inviteOnly is on, signup() opens this gate instead of
+ * going straight to Google. Visitors enter an invite code and/or email, which
+ * is checked with authManager.checkInvite() before the Google prompt. Emails
+ * without an invite can join the waitlist. `?invite=CODE` (optionally with
+ * `&email=`) links open the gate prefilled and validate automatically.
+ */
+
+/**
+ * Check whether signups currently require an invite
+ */
+function isInviteOnly() {
+    return Boolean(CONFIG.features.inviteOnly);
+}
+
+/**
+ * Open the gate for any `?invite=` deep link - called from initApp()
+ */
+async function initInviteGate() {
+    if (!isInviteOnly() || authManager.isAuthenticated) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('invite');
+    if (!code) return;
+
+    openInviteGate({ code, email: params.get('email') || '' });
+    await validateInvite();
+}
+
+/**
+ * Show the invite gate modal
+ */
+function openInviteGate({ code = '', email = '' } = {}) {
+    let modal = document.getElementById('invite-gate');
+    if (!modal) {
+        document.body.insertAdjacentHTML('beforeend', renderInviteGate());
+        modal = document.getElementById('invite-gate');
+        i18n.translatePage(modal);
+        modal.querySelector('form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            validateInvite();
+        });
+        modal.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') closeInviteGate();
+        });
+    }
+
+    modal.querySelector('[name="invite_code"]').value = code || sessionStorage.getItem('invite_code') || '';
+    modal.querySelector('[name="email"]').value = email;
+    setInviteError('');
+    showInviteStep('form');
+
+    modal.classList.remove('hidden');
+    modal.querySelector(code ? '[name="email"]' : '[name="invite_code"]').focus();
+}
+
+/**
+ * Hide the invite gate modal
+ */
+function closeInviteGate() {
+    document.getElementById('invite-gate')?.classList.add('hidden');
+}
+
+/**
+ * Build the modal markup
+ */
+function renderInviteGate() {
+    const inputClass = 'w-full px-4 py-3 rounded-lg bg-white/10 border border-white/10 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent';
+
+    return `
+        <div id="invite-gate" class="hidden fixed inset-0 z-[60] flex items-center justify-center bg-black/70 px-4" role="dialog" aria-modal="true" aria-labelledby="invite-gate-title">
+            <div class="relative w-full max-w-md bg-dark border border-white/10 rounded-2xl p-8 text-white">
+                <button type="button" onclick="closeInviteGate()" class="absolute top-4 right-4 text-gray-500 hover:text-white transition" aria-label="Close" data-i18n-attr="aria-label:common.close">&times;</button>
+
+                <div data-invite-step="form">
+                    <h2 id="invite-gate-title" class="text-2xl font-bold mb-2" data-i18n="invite.title">Knowledge Nexus is invite-only</h2>
+                    <p class="text-gray-400 text-sm mb-6" data-i18n="invite.intro">Enter your invite code, or the email address your invite was sent to.</p>
+                    <form class="space-y-4" novalidate>
+                        <label class="block">
+                            <span class="block text-sm text-gray-400 mb-1" data-i18n="invite.code">Invite code</span>
+                            <input name="invite_code" type="text" autocomplete="off" class="${inputClass}">
+                        </label>
+                        <label class="block">
+                            <span class="block text-sm text-gray-400 mb-1" data-i18n="invite.email">Email</span>
+                            <input name="email" type="email" autocomplete="email" class="${inputClass}">
+                        </label>
+                        <p data-invite-error class="hidden text-sm text-red-400" role="alert"></p>
+                        <button type="submit" class="w-full bg-primary hover:bg-primary/90 py-3 rounded-lg font-semibold transition" data-i18n="invite.check">
+                            Check Invite
+                        </button>
+                    </form>
+                </div>
+
+                <div data-invite-step="accepted" class="hidden text-center">
+                    <h2 class="text-2xl font-bold mb-2" data-i18n="invite.accepted.title">You're invited!</h2>
+                    <p class="text-gray-400 text-sm mb-6" data-i18n="invite.accepted.body">Continue with the Google account for your invited email.</p>
+                    <button type="button" onclick="continueInviteSignup()" class="w-full bg-primary hover:bg-primary/90 py-3 rounded-lg font-semibold transition" data-i18n="invite.accepted.continue">
+                        Continue with Google
+                    </button>
+                </div>
+
+                <div data-invite-step="waitlist" class="hidden text-center">
+                    <h2 class="text-2xl font-bold mb-2" data-i18n="invite.waitlist.title">No invite found</h2>
+                    <p class="text-gray-400 text-sm mb-6" data-invite-email-message="invite.waitlist.body"></p>
+                    <button type="button" onclick="joinInviteWaitlist()" class="w-full bg-primary hover:bg-primary/90 py-3 rounded-lg font-semibold transition" data-i18n="invite.waitlist.join">
+                        Join the Waitlist
+                    </button>
+                    <button type="button" onclick="showInviteStep('form')" class="mt-3 text-sm text-gray-400 hover:text-white transition" data-i18n="invite.waitlist.retry">
+                        Try a different code or email
+                    </button>
+                </div>
+
+                <div data-invite-step="joined" class="hidden text-center">
+                    <h2 class="text-2xl font-bold mb-2" data-i18n="invite.joined.title">You're on the list</h2>
+                    <p class="text-gray-400 text-sm" data-invite-email-message="invite.joined.body"></p>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Switch between the gate's steps
+ */
+function showInviteStep(step) {
+    document.querySelectorAll('#invite-gate [data-invite-step]').forEach(element => {
+        element.classList.toggle('hidden', element.dataset.inviteStep !== step);
+    });
+}
+
+/**
+ * Show or clear the inline form error
+ */
+function setInviteError(message) {
+    const error = document.querySelector('#invite-gate [data-invite-error]');
+    if (!error) return;
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+}
+
+/**
+ * Check the entered code/email with the backend
+ */
+async function validateInvite() {
+    const modal = document.getElementById('invite-gate');
+    const code = modal.querySelector('[name="invite_code"]').value.trim();
+    const email = modal.querySelector('[name="email"]').value.trim();
+
+    if (!code && !email) {
+        setInviteError(t('invite.errors.missing'));
+        return;
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        setInviteError(t('common.invalidEmail'));
+        return;
+    }
+    setInviteError('');
+
+    const submit = modal.querySelector('form [type="submit"]');
+    submit.disabled = true;
+    const result = await authManager.checkInvite(email, code);
+    submit.disabled = false;
+
+    if (result.error) {
+        setInviteError(t('invite.errors.checkFailed'));
+        return;
+    }
+
+    if (result.has_invite) {
+        if (code) {
+            sessionStorage.setItem('invite_code', code);
+        }
+        showInviteStep('accepted');
+        return;
+    }
+
+    if (!email) {
+        setInviteError(t('invite.errors.invalidCode'));
+        modal.querySelector('[name="email"]').focus();
+        return;
+    }
+
+    // The email is set as text inside the catalog's sentence, never parsed as markup
+    const strong = document.createElement('strong');
+    strong.className = 'text-white';
+    strong.textContent = email;
+    modal.querySelectorAll('[data-invite-email-message]').forEach(element => {
+        element.innerHTML = t(element.dataset.inviteEmailMessage, { email: strong.outerHTML });
+    });
+    showInviteStep('waitlist');
+}
+
+/**
+ * Invite accepted - hand over to Google sign-up
+ */
+async function continueInviteSignup() {
+    closeInviteGate();
+    await authManager.signup();
+}
+
+/**
+ * Add the entered email to the waitlist
+ */
+async function joinInviteWaitlist() {
+    const email = document.querySelector('#invite-gate [name="email"]').value.trim();
+
+    if (await authManager.joinWaitlist(email)) {
+        showInviteStep('joined');
+    } else {
+        showInviteStep('form');
+        setInviteError(t('invite.errors.waitlistFailed'));
+    }
+}
+
+// Export functions for HTML onclick handlers
+window.closeInviteGate = closeInviteGate;
+window.showInviteStep = showInviteStep;
+window.continueInviteSignup = continueInviteSignup;
+window.joinInviteWaitlist = joinInviteWaitlist;
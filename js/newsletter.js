@@ -0,0 +1,91 @@
+/**
+ * Knowledge Nexus Marketing Site - Newsletter
+ *
+ * Wires up every `form[data-newsletter]` (the blog index and the end of each
+ * article) to the newsletter endpoint. The API answers with one of
+ * NEWSLETTER_STATUSES, each with a `newsletter.status` message - new
+ * subscriptions are double opt-in, so the usual answer is
+ * `pending_confirmation` until the emailed link is clicked.
+ * Results are shown inline in the form's `[data-newsletter-status]` element.
+ */
+
+const NEWSLETTER_STATUSES = ['pending_confirmation', 'subscribed', 'already_subscribed'];
+
+/**
+ * Attach submit handlers - called from initApp()
+ */
+function initNewsletterForms() {
+    document.querySelectorAll('form[data-newsletter]').forEach(form => {
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            subscribeToNewsletter(form);
+        });
+    });
+}
+
+/**
+ * Validate and submit one newsletter form
+ */
+async function subscribeToNewsletter(form) {
+    const input = form.elements.email;
+    const email = input.value.trim();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        setNewsletterStatus(form, 'error', t('common.invalidEmail'));
+        input.focus();
+        return;
+    }
+
+    const submit = form.querySelector('[type="submit"]');
+    submit.disabled = true;
+    setNewsletterStatus(form, 'pending', t('newsletter.subscribing'));
+
+    try {
+        const result = await apiClient.subscribeNewsletter({
+            email,
+            source: form.dataset.newsletter || 'blog',
+            page: window.location.pathname,
+        });
+        const status = NEWSLETTER_STATUSES.includes(result?.status) ? result.status : 'pending_confirmation';
+        showNewsletterResult(form, status, email);
+    } catch (error) {
+        const apiError = ApiError.from(error);
+
+        // Some backends answer a duplicate signup with 409 instead of a status
+        if (apiError.status === 409) {
+            showNewsletterResult(form, 'already_subscribed', email);
+            return;
+        }
+
+        console.error('Newsletter signup failed:', error);
+        setNewsletterStatus(form, 'error', apiError.kind === 'validation' && apiError.detail
+            ? apiError.detail
+            : describeError(apiError, 'subscribe'));
+    } finally {
+        submit.disabled = false;
+    }
+}
+
+/**
+ * Replace the input with the outcome message
+ */
+function showNewsletterResult(form, status, email) {
+    form.querySelector('[data-newsletter-fields]')?.classList.add('hidden');
+    form.reset();
+    setNewsletterStatus(form, 'success', t(`newsletter.status.${status}`, { email }));
+}
+
+/**
+ * Show an inline message under the form
+ * @param {'pending'|'success'|'error'} state
+ */
+function setNewsletterStatus(form, state, message) {
+    const status = form.querySelector('[data-newsletter-status]');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.remove('hidden', 'text-gray-400', 'text-green-400', 'text-red-400');
+    status.classList.add({ pending: 'text-gray-400', success: 'text-green-400', error: 'text-red-400' }[state]);
+
+    form.elements.email.setAttribute('aria-invalid', state === 'error' ? 'true' : 'false');
+}
@@ -0,0 +1,205 @@
+/**
+ * Knowledge Nexus Marketing Site - Notifications
+ *
+ * Non-blocking toasts in place of alert(). showSuccess(), showError(),
+ * showMessage() and showLoading()/hideLoading() are the entry points used by
+ * the other modules. Up to MAX_VISIBLE_NOTIFICATIONS are shown at once; the
+ * rest wait in a queue. Every notification is also announced through a
+ * screen-reader live region (assertive for errors, polite otherwise).
+ * showApiError() turns an ApiError (errors.js) into copy plus a retry action.
+ */
+
+const MAX_VISIBLE_NOTIFICATIONS = 3;
+
+// Auto-dismiss delay per type; 0 keeps the toast until it is dismissed
+const NOTIFICATION_DURATIONS_MS = {
+    success: 5000,
+    info: 5000,
+    error: 8000,
+    loading: 0,
+};
+
+const NOTIFICATION_STYLES = {
+    success: { accent: 'border-green-500/40', icon: '<svg class="w-5 h-5 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg>' },
+    error: { accent: 'border-red-500/40', icon: '<svg class="w-5 h-5 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01M5.07 19h13.86c1.54 0 2.5-1.67 1.73-3L13.73 4c-.77-1.33-2.69-1.33-3.46 0L3.34 16c-.77 1.33.19 3 1.73 3z"/></svg>' },
+    info: { accent: 'border-primary/40', icon: '<svg class="w-5 h-5 text-primary" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>' },
+    loading: { accent: 'border-white/10', icon: '<span class="block w-5 h-5 rounded-full border-2 border-primary/30 border-t-primary animate-spin"></span>' },
+};
+
+let notificationCounter = 0;
+const notificationQueue = [];
+const visibleNotifications = new Map();
+let loadingNotificationId = null;
+
+/**
+ * Show a notification
+ * @param {string} message
+ * @param {{type?: 'success'|'error'|'info'|'loading', duration?: number, action?: {label: string, onClick: Function}}} options
+ * @returns {number} id for dismissNotification()
+ */
+function notify(message, { type = 'info', duration = NOTIFICATION_DURATIONS_MS[type], action = null } = {}) {
+    const notification = { id: ++notificationCounter, message, type, duration, action };
+
+    if (visibleNotifications.size < MAX_VISIBLE_NOTIFICATIONS) {
+        renderNotification(notification);
+    } else {
+        notificationQueue.push(notification);
+    }
+
+    return notification.id;
+}
+
+/**
+ * Remove a visible or queued notification
+ */
+function dismissNotification(id) {
+    const queued = notificationQueue.findIndex(notification => notification.id === id);
+    if (queued !== -1) {
+        notificationQueue.splice(queued, 1);
+        return;
+    }
+
+    const visible = visibleNotifications.get(id);
+    if (!visible) return;
+
+    clearTimeout(visible.timer);
+    visible.element.remove();
+    visibleNotifications.delete(id);
+
+    if (notificationQueue.length > 0) {
+        renderNotification(notificationQueue.shift());
+    }
+}
+
+/**
+ * Add a notification to the stack and announce it
+ */
+function renderNotification(notification) {
+    const { id, message, type, duration, action } = notification;
+    const style = NOTIFICATION_STYLES[type] || NOTIFICATION_STYLES.info;
+
+    const element = document.createElement('div');
+    element.className = `pointer-events-auto flex items-start gap-3 w-full bg-dark/95 backdrop-blur-md border ${style.accent} rounded-xl px-4 py-3 text-sm text-white shadow-lg`;
+    element.dataset.notificationType = type;
+    element.innerHTML = `
+        <span class="shrink-0 mt-0.5" aria-hidden="true">${style.icon}</span>
+        <div class="flex-1">
+            <p></p>
+            ${action ? '<button type="button" data-notification-action class="mt-2 font-semibold text-primary hover:text-white transition"></button>' : ''}
+        </div>
+        <button type="button" data-notification-dismiss class="shrink-0 text-gray-500 hover:text-white transition" aria-label="${t('common.dismissNotification')}">&times;</button>
+    `;
+    element.querySelector('p').textContent = message;
+    element.querySelector('[data-notification-dismiss]').addEventListener('click', () => dismissNotification(id));
+
+    if (action) {
+        const actionButton = element.querySelector('[data-notification-action]');
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            dismissNotification(id);
+            action.onClick();
+        });
+    }
+
+    getNotificationContainer().appendChild(element);
+    announceNotification(message, type);
+
+    const timer = duration > 0 ? setTimeout(() => dismissNotification(id), duration) : null;
+    visibleNotifications.set(id, { element, timer });
+}
+
+/**
+ * Create the toast stack and live regions on first use
+ */
+function getNotificationContainer() {
+    let container = document.getElementById('notifications');
+    if (!container) {
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="notifications" class="fixed bottom-4 right-4 left-4 sm:left-auto sm:w-96 z-[70] flex flex-col gap-3 pointer-events-none"></div>
+            <div id="notifications-polite" class="sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
+            <div id="notifications-assertive" class="sr-only" role="alert" aria-live="assertive" aria-atomic="true"></div>
+        `);
+        container = document.getElementById('notifications');
+    }
+    return container;
+}
+
+/**
+ * Read the message out via the matching live region
+ */
+function announceNotification(message, type) {
+    const region = document.getElementById(type === 'error' ? 'notifications-assertive' : 'notifications-polite');
+
+    // Clear first so repeating the same message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+/**
+ * Show a success notification
+ */
+function showSuccess(message) {
+    return notify(message, { type: 'success' });
+}
+
+/**
+ * Show error message to user, optionally with an action button
+ */
+function showError(message, { action = null } = {}) {
+    return notify(message, { type: 'error', action });
+}
+
+/**
+ * Show an API failure with copy for its kind and a way forward
+ * @param {*} error - Anything thrown; normalized with ApiError.from()
+ * @param {{action: string, retry?: Function}} options - errors.actions key for what the user was doing, and how to do it again
+ */
+function showApiError(error, { action, retry = null }) {
+    const apiError = ApiError.from(error);
+
+    let button = null;
+    if (apiError.kind === 'auth' && apiError.status !== 403) {
+        button = { label: t('nav.signIn'), onClick: () => login() };
+    } else if (apiError.kind === 'billing') {
+        button = { label: t('common.contactSupport'), onClick: () => { window.location.href = `mailto:${CONFIG.contact.support}`; } };
+    } else if (apiError.retryable && retry) {
+        button = { label: t('common.tryAgain'), onClick: retry };
+    }
+
+    return showError(describeError(apiError, action), { action: button });
+}
+
+/**
+ * Show an informational notification
+ */
+function showMessage(message) {
+    return notify(message, { type: 'info' });
+}
+
+/**
+ * Show the loading toast - only one at a time
+ */
+function showLoading(message = t('common.loading')) {
+    document.body.classList.add('loading');
+
+    if (loadingNotificationId !== null) {
+        dismissNotification(loadingNotificationId);
+    }
+    loadingNotificationId = notify(message, { type: 'loading' });
+}
+
+/**
+ * Remove the loading toast
+ */
+function hideLoading() {
+    document.body.classList.remove('loading');
+
+    if (loadingNotificationId !== null) {
+        dismissNotification(loadingNotificationId);
+        loadingNotificationId = null;
+    }
+}
+
+window.dismissNotification = dismissNotification;
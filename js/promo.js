@@ -0,0 +1,191 @@
+/**
+ * Knowledge Nexus Marketing Site - Promo Codes
+ *
+ * The "Have a promo code?" field in the pricing section, and `?promo=CODE`
+ * links, check a code with CONFIG.api.endpoints.promoCode. A valid code is
+ * kept in sessionStorage (so it survives sign-in), shown as a discount on the
+ * cards it applies to by updatePricingDisplay(), and sent with the checkout
+ * request as `promo_code`.
+ *
+ * The endpoint answers `{valid: true, code, percent_off | amount_off, currency, applies_to, duration, duration_in_months}`
+ * for usable codes (amount_off in cents of `currency`, applies_to a list of
+ * tier keys or null for every paid tier) and `{valid: false, reason}` otherwise.
+ * Fixed-amount codes only apply while prices are shown in their currency.
+ */
+
+// `reason` values with their own pricing.promo.rejected message
+const PROMO_REJECTION_REASONS = ['not_found', 'expired', 'redeemed', 'not_applicable'];
+
+let activePromo = null;
+
+/**
+ * Apply a `?promo=` code or one remembered from earlier in the session - called from initApp()
+ */
+async function initPromoCode() {
+    const form = document.getElementById('promo-form');
+    if (!form) return;
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        applyPromoCode(form.elements.promo_code.value);
+    });
+
+    const code = new URLSearchParams(window.location.search).get('promo') || sessionStorage.getItem('promo_code');
+    if (code) {
+        openPromoField();
+        form.elements.promo_code.value = code;
+        await applyPromoCode(code);
+    }
+}
+
+/**
+ * Reveal the promo code field
+ */
+function openPromoField() {
+    document.getElementById('promo-toggle')?.classList.add('hidden');
+    document.getElementById('promo-form')?.classList.remove('hidden');
+}
+
+/**
+ * Validate a code and apply it to the pricing cards
+ */
+async function applyPromoCode(rawCode) {
+    const code = rawCode.trim().toUpperCase();
+    if (!code) {
+        setPromoStatus('error', t('pricing.promo.enterCode'));
+        return;
+    }
+
+    const submit = document.querySelector('#promo-form [type="submit"]');
+    submit.disabled = true;
+    setPromoStatus('pending', t('pricing.promo.checking'));
+
+    try {
+        const promo = await apiClient.validatePromoCode(code);
+
+        if (!promo?.valid) {
+            rejectPromoCode(code, promo?.reason);
+            return;
+        }
+
+        activePromo = { ...promo, code: promo.code || code };
+        sessionStorage.setItem('promo_code', activePromo.code);
+        setPromoStatus('success', t('pricing.promo.applied', { code: activePromo.code, discount: describePromo(activePromo) }), { removable: true });
+        trackEvent('promo_applied', { code: activePromo.code });
+    } catch (error) {
+        const apiError = ApiError.from(error);
+
+        // Some backends answer unknown or expired codes with 404 / 410 instead of valid: false
+        if (apiError.status === 404 || apiError.status === 410) {
+            rejectPromoCode(code, apiError.status === 410 ? 'expired' : 'not_found');
+            return;
+        }
+
+        console.error('Promo code check failed:', error);
+        const message = describeError(apiError, 'checkPromo');
+        if (activePromo) {
+            // The cards still show the earlier code's discount, so say so
+            setPromoStatus('error', t('pricing.promo.stillApplied', { message, code: activePromo.code }), { removable: true });
+        } else {
+            setPromoStatus('error', message);
+        }
+    } finally {
+        submit.disabled = false;
+        updatePricingDisplay();
+    }
+}
+
+/**
+ * Clear a rejected code and say why
+ */
+function rejectPromoCode(code, reason) {
+    activePromo = null;
+    sessionStorage.removeItem('promo_code');
+    setPromoStatus('error', t(`pricing.promo.rejected.${PROMO_REJECTION_REASONS.includes(reason) ? reason : 'not_found'}`, { code }));
+    trackEvent('promo_rejected', { code, reason: reason || 'not_found' });
+}
+
+/**
+ * Remove the applied code
+ */
+function removePromoCode() {
+    activePromo = null;
+    sessionStorage.removeItem('promo_code');
+
+    const form = document.getElementById('promo-form');
+    form.reset();
+    setPromoStatus(null);
+    updatePricingDisplay();
+    form.elements.promo_code.focus();
+}
+
+/**
+ * Show the result under the promo field
+ * @param {'pending'|'success'|'error'|null} state - null hides the message
+ */
+function setPromoStatus(state, message = '', { removable = false } = {}) {
+    const status = document.getElementById('promo-status');
+    if (!status) return;
+
+    status.classList.toggle('hidden', !state);
+    status.classList.remove('text-gray-400', 'text-green-400', 'text-red-400');
+    if (!state) return;
+
+    status.classList.add({ pending: 'text-gray-400', success: 'text-green-400', error: 'text-red-400' }[state]);
+    status.textContent = message;
+
+    if (removable) {
+        status.insertAdjacentHTML('beforeend', ` <button type="button" onclick="removePromoCode()" class="underline text-gray-400 hover:text-white transition">${t('common.remove')}</button>`);
+    }
+
+    document.getElementById('promo-form').elements.promo_code.setAttribute('aria-invalid', state === 'error' ? 'true' : 'false');
+}
+
+/**
+ * Human description of the discount, e.g. "20% off Pro for 3 months"
+ */
+function describePromo(promo) {
+    const parts = [promo.percent_off
+        ? t('pricing.promo.percentOff', { percent: promo.percent_off })
+        : t('pricing.promo.amountOff', { amount: formatPrice(promo.amount_off / 100, promo.currency?.toUpperCase()) })];
+
+    if (promo.applies_to?.length) {
+        parts.push(t('pricing.promo.onTiers', { tiers: promo.applies_to.map(key => CONFIG.tiers[key]?.name || key).join(', ') }));
+    }
+
+    if (promo.duration === 'once') {
+        parts.push(t('pricing.promo.once'));
+    } else if (promo.duration === 'repeating' && promo.duration_in_months) {
+        parts.push(t('pricing.promo.months', { count: promo.duration_in_months }));
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * The applied promo code if it covers this tier, else null
+ */
+function getPromoForTier(tier) {
+    if (!activePromo) return null;
+    if (activePromo.applies_to?.length && !activePromo.applies_to.includes(tier)) return null;
+    if (activePromo.amount_off && activePromo.currency && activePromo.currency.toUpperCase() !== currentCurrency) return null;
+    return activePromo;
+}
+
+/**
+ * Apply a promo to a price in dollars
+ * amount_off is a fixed amount per invoice, so it only applies to whole-invoice prices
+ */
+function discountPrice(price, promo, { perInvoice = true } = {}) {
+    if (promo.percent_off) {
+        return price * (1 - promo.percent_off / 100);
+    }
+    if (promo.amount_off && perInvoice) {
+        return Math.max(price - promo.amount_off / 100, 0);
+    }
+    return price;
+}
+
+// Export functions for HTML onclick handlers
+window.openPromoField = openPromoField;
+window.removePromoCode = removePromoCode;
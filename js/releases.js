@@ -0,0 +1,61 @@
+/**
+ * Knowledge Nexus Marketing Site - Releases
+ *
+ * Shared access to the Nexus Connect release manifest (CONFIG.downloads.manifestUrl)
+ * for the downloads and changelog pages, plus the "New" badge on Downloads
+ * nav links. The badge is shown to visitors whose last seen release is older
+ * than the latest stable one, so first-time visitors never fetch the manifest.
+ */
+
+const RELEASE_SEEN_STORAGE_KEY = 'kn_seen_release';
+
+/**
+ * Fetch the release manifest
+ * @returns {Promise<Object>} { platforms, releases } with releases newest first
+ */
+async function loadReleaseManifest() {
+    const response = await fetch(CONFIG.downloads.manifestUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Newest release in a channel, or null
+ */
+function getLatestRelease(manifest, channel = CONFIG.downloads.defaultChannel) {
+    return manifest.releases.find(release => release.channel === channel) || null;
+}
+
+/**
+ * Remember the latest stable release as seen and hide the badge
+ */
+function markReleaseSeen(manifest) {
+    const latest = getLatestRelease(manifest);
+    if (!latest) return;
+
+    localStorage.setItem(RELEASE_SEEN_STORAGE_KEY, latest.version);
+    document.querySelectorAll('[data-release-badge]').forEach(badge => badge.classList.add('hidden'));
+}
+
+/**
+ * Show the badge when a newer stable release is out - called from initApp()
+ */
+async function initReleaseBadge() {
+    const badges = document.querySelectorAll('[data-release-badge]');
+    const seen = localStorage.getItem(RELEASE_SEEN_STORAGE_KEY);
+    if (badges.length === 0 || !seen) return;
+
+    let manifest;
+    try {
+        manifest = await loadReleaseManifest();
+    } catch (error) {
+        console.warn('Failed to check for new releases:', error);
+        return;
+    }
+
+    const latest = getLatestRelease(manifest);
+    const isNew = Boolean(latest) && latest.version !== seen;
+    badges.forEach(badge => badge.classList.toggle('hidden', !isNew));
+}
@@ -0,0 +1,201 @@
+/**
+ * Knowledge Nexus Marketing Site - Checkout Success
+ *
+ * Confirms a Stripe checkout on /success/: polls the subscription endpoint
+ * until the purchased tier is active, then shows the plan details.
+ */
+
+const CHECKOUT_POLL_INTERVAL_MS = 2000;
+const CHECKOUT_POLL_TIMEOUT_MS = 60000;
+
+// Stripe subscription statuses
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+const FAILED_SUBSCRIPTION_STATUSES = ['incomplete_expired', 'unpaid', 'canceled'];
+
+// The confirmed plan, kept so renderCheckoutDetails() can redo it in another language
+let confirmedCheckout = null;
+
+/**
+ * Initialize the success page - called from checkPendingActions() in app.js,
+ * on load and again after signing in
+ */
+async function initCheckoutSuccess() {
+    if (!document.getElementById('checkout-success')) return;
+
+    const sessionId = new URLSearchParams(window.location.search).get('session_id');
+    if (!sessionId) {
+        showCheckoutError('noCheckout', { retry: false });
+        return;
+    }
+
+    if (!authManager.isAuthenticated) {
+        showCheckoutError('signIn', { retryLabelKey: 'nav.signIn' });
+        return;
+    }
+
+    await confirmCheckout();
+}
+
+/**
+ * Poll the subscription endpoint until the purchased plan is active
+ */
+async function confirmCheckout() {
+    showCheckoutState('pending');
+
+    const pending = getPendingCheckout();
+    const deadline = Date.now() + CHECKOUT_POLL_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        let subscription = null;
+
+        try {
+            subscription = await apiClient.getSubscription();
+        } catch (error) {
+            if (!authManager.isAuthenticated) {
+                showCheckoutError('sessionExpired', { retryLabelKey: 'nav.signIn' });
+                return;
+            }
+            // Network hiccup or provisioning lag - keep polling until the deadline
+            console.error('Subscription check failed:', error);
+        }
+
+        if (subscription) {
+            const status = subscription.status;
+
+            if (FAILED_SUBSCRIPTION_STATUSES.includes(status)) {
+                showCheckoutError('failed');
+                return;
+            }
+
+            if (isPurchasedPlanActive(subscription, pending)) {
+                sessionStorage.removeItem('checkout_pending');
+                trackEvent('checkout_completed', { tier: subscription.tier, period: pending?.period });
+                userSubscription = subscription;
+                showCheckoutConfirmation(subscription, pending);
+                return;
+            }
+        }
+
+        await new Promise(resolve => setTimeout(resolve, CHECKOUT_POLL_INTERVAL_MS));
+    }
+
+    showCheckoutError('slow');
+}
+
+/**
+ * Check whether the subscription reflects the tier that was just purchased
+ */
+function isPurchasedPlanActive(subscription, pending) {
+    if (!ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) return false;
+
+    if (pending?.tier) {
+        return subscription.tier === pending.tier;
+    }
+    // Checkout started in another tab - accept any paid plan
+    return Boolean(subscription.tier) && subscription.tier !== 'free';
+}
+
+/**
+ * Show the confirmation with plan details
+ */
+function showCheckoutConfirmation(subscription, pending) {
+    confirmedCheckout = { subscription, pending };
+    renderCheckoutDetails();
+    showCheckoutState('active');
+}
+
+/**
+ * Fill in the confirmed plan's name and details - also called from setLanguage()
+ */
+function renderCheckoutDetails() {
+    if (!confirmedCheckout) return;
+
+    const { subscription, pending } = confirmedCheckout;
+    const tier = CONFIG.tiers[subscription.tier];
+    const container = document.getElementById('checkout-success');
+
+    container.querySelector('[data-plan-name]').textContent = tier?.name || subscription.tier;
+
+    const details = [['checkout.details.plan', tier?.name || subscription.tier]];
+
+    const period = subscription.billing_period || subscription.interval || pending?.period;
+    if (period) {
+        details.push(['checkout.details.billing', t(period === 'annual' || period === 'year' ? 'pricing.annual' : 'pricing.monthly')]);
+    }
+
+    const seats = subscription.quantity || pending?.quantity;
+    if (tier?.perUser && seats) {
+        details.push(['checkout.details.seats', seats]);
+    }
+
+    if (subscription.current_period_end) {
+        details.push(['checkout.details.renews', formatPeriodEnd(subscription.current_period_end)]);
+    }
+
+    // Values come from the API, so set them as text rather than markup
+    container.querySelector('[data-plan-details]').replaceChildren(...details.map(([labelKey, value]) => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between';
+        row.innerHTML = '<dt class="text-gray-500"></dt><dd class="font-medium"></dd>';
+        row.querySelector('dt').textContent = t(labelKey);
+        row.querySelector('dd').textContent = value;
+        return row;
+    }));
+}
+
+/**
+ * Format a period end given as an ISO string or Unix seconds
+ */
+function formatPeriodEnd(value) {
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return date.toLocaleDateString(i18n.locale, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Show the error state
+ * @param {string} error - checkout.errors key with the title and message to show
+ */
+function showCheckoutError(error, { retry = true, retryLabelKey = 'checkout.checkAgain' } = {}) {
+    const container = document.getElementById('checkout-success');
+
+    // data-i18n keeps the copy in step with the language selector
+    setCheckoutCopy(container.querySelector('[data-error-title]'), `checkout.errors.${error}.title`);
+    setCheckoutCopy(container.querySelector('[data-error-message]'), `checkout.errors.${error}.message`);
+    container.querySelector('[data-support-link]').href = `mailto:${CONFIG.contact.support}`;
+
+    const retryButton = container.querySelector('[data-retry]');
+    setCheckoutCopy(retryButton, retryLabelKey);
+    retryButton.classList.toggle('hidden', !retry);
+
+    showCheckoutState('error');
+}
+
+/**
+ * Fill an element with a catalog message and remember its key for translatePage()
+ */
+function setCheckoutCopy(element, key) {
+    element.dataset.i18n = key;
+    element.textContent = t(key);
+}
+
+/**
+ * Switch between the pending, active and error states
+ */
+function showCheckoutState(state) {
+    document.querySelectorAll('#checkout-success [data-checkout-state]').forEach(element => {
+        element.classList.toggle('hidden', element.dataset.checkoutState !== state);
+    });
+}
+
+/**
+ * Retry button handler - signs in first if needed
+ */
+async function retryCheckoutConfirmation() {
+    if (!authManager.isAuthenticated) {
+        await login();
+        return;
+    }
+    await confirmCheckout();
+}
+
+window.retryCheckoutConfirmation = retryCheckoutConfirmation;
@@ -0,0 +1,809 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Nexus - Blog Builder
+ *
+ * Turns the Markdown posts in content/blog/ into the static blog:
+ *
+ *   blog/<slug>/index.html   One page per post, from templates/blog/post.html
+ *   blog/index.html          Featured and recent post cards and the search index,
+ *                            from templates/blog/index.html
+ *   blog/feed.xml            Atom feed of every post
+ *   sitemap.xml              templates/sitemap.xml plus one <url> per post
+ *
+ * Each post starts with front matter (see README "Blog") followed by Markdown:
+ * ## and ### headings (with an optional {#id}), paragraphs, lists, > quotes,
+ * fenced code, pipe tables, images, links, **bold**, *italic* and `code`.
+ * Any block that starts with an HTML tag is passed through as-is, which is
+ * how posts embed card grids and call-to-action boxes.
+ *
+ * The generated files are committed so the site can be served straight from
+ * the repository; rerun this after editing a post or template. deploy.sh runs
+ * it with --check, which fails instead of writing when any of them is out of
+ * date. Absolute URLs (canonical, Open Graph, feed, sitemap) point at SITE_URL,
+ * production unless set; the committed files use production's.
+ *
+ * Usage:
+ *   node scripts/build-blog.js
+ *   node scripts/build-blog.js --check
+ *   SITE_URL=https://staging.knowledgenexus.ai node scripts/build-blog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenizeSearchText } = require('../js/blog-search.js');
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content', 'blog');
+const TEMPLATE_DIR = path.join(ROOT, 'templates');
+const BLOG_DIR = path.join(ROOT, 'blog');
+const SITE_URL = (process.env.SITE_URL || 'https://knowledgenexus.ai').replace(/\/$/, '');
+const CHECK_ONLY = process.argv.includes('--check');
+const DEFAULT_AUTHOR = 'Knowledge Nexus Team';
+const DEFAULT_IMAGE = '/images/og-blog.png';
+const WORDS_PER_MINUTE = 200;
+const RELATED_COUNT = 2;
+
+// How much one occurrence of a term counts towards a post's search ranking,
+// by where it appears. Body text counts once per occurrence, up to the cap.
+const SEARCH_WEIGHTS = { title: 10, tags: 6, headings: 4, summary: 2 };
+const SEARCH_BODY_CAP = 10;
+
+// Characters of each section's text kept in the search index for result
+// snippets; the rest of the body is only searchable through its terms
+const SEARCH_EXCERPT_LENGTH = 160;
+
+/**
+ * Badge, banner gradient and card icon for each post category
+ */
+const CATEGORY_STYLES = {
+    Technology: {
+        badge: 'bg-primary/20 text-primary',
+        gradient: 'from-primary to-secondary',
+        icon: 'M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z'
+    },
+    Guide: {
+        badge: 'bg-secondary/20 text-secondary',
+        gradient: 'from-secondary to-pink-500',
+        icon: 'M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z'
+    },
+    Tips: {
+        badge: 'bg-green-500/20 text-green-400',
+        gradient: 'from-green-500 to-teal-500',
+        icon: 'M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6'
+    },
+    Enterprise: {
+        badge: 'bg-orange-500/20 text-orange-400',
+        gradient: 'from-orange-500 to-red-500',
+        icon: 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4'
+    },
+    Tutorial: {
+        badge: 'bg-gray-500/20 text-gray-300',
+        gradient: 'from-gray-600 to-gray-800',
+        icon: 'M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01'
+    },
+    Research: {
+        badge: 'bg-cyan-500/20 text-cyan-400',
+        gradient: 'from-cyan-500 to-blue-500',
+        icon: 'M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01'
+    },
+    Security: {
+        badge: 'bg-pink-500/20 text-pink-400',
+        gradient: 'from-pink-500 to-rose-500',
+        icon: 'M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z'
+    }
+};
+
+const REQUIRED_FIELDS = ['title', 'description', 'summary', 'date', 'category'];
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function slugify(text) {
+    return text
+        .replace(/<[^>]+>/g, '')
+        .toLowerCase()
+        .replace(/&[a-z]+;/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Indent markup to sit inside a template, leaving <pre> contents untouched
+ */
+function indent(html, spaces) {
+    const pad = ' '.repeat(spaces);
+    let inPre = false;
+    return html.split('\n').map(line => {
+        const indented = line && !inPre ? pad + line : line;
+        if (line.includes('<pre')) inPre = true;
+        if (line.includes('</pre>')) inPre = false;
+        return indented;
+    }).join('\n');
+}
+
+function formatDate(isoDate, month) {
+    return new Intl.DateTimeFormat('en-US', { dateStyle: month === 'long' ? 'long' : 'medium', timeZone: 'UTC' })
+        .format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+/**
+ * Fill {{placeholders}} - values are inserted verbatim, so escape them first
+ */
+function renderTemplate(name, templateValues) {
+    const template = fs.readFileSync(path.join(TEMPLATE_DIR, name), 'utf8');
+    const values = { siteUrl: SITE_URL, ...templateValues };
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+        if (!(key in values)) {
+            throw new Error(`${name}: no value for {{${key}}}`);
+        }
+        return values[key];
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Front matter
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the `key: value` front matter block. Values may be [a, b] lists,
+ * true/false, or plain text (quotes optional).
+ */
+function parseFrontMatter(source, file) {
+    const match = source.match(/^---\n([\s\S]*?)\n---\n/);
+    if (!match) {
+        throw new Error(`${file}: missing front matter`);
+    }
+
+    const data = {};
+    match[1].split('\n').forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            throw new Error(`${file}: front matter line ${index + 2} is not "key: value"`);
+        }
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+
+        if (value.startsWith('[') && value.endsWith(']')) {
+            data[key] = value.slice(1, -1).split(',').map(item => unquote(item.trim())).filter(Boolean);
+        } else if (value === 'true' || value === 'false') {
+            data[key] = value === 'true';
+        } else {
+            data[key] = unquote(value);
+        }
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+function unquote(value) {
+    return /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+function renderInline(text) {
+    const codeSpans = [];
+    return text
+        .replace(/`([^`]+)`/g, (match, code) => {
+            codeSpans.push(`<code class="bg-white/10 rounded px-1 font-mono text-sm">${escapeHtml(code)}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        })
+        // Bare ampersands only - entities and inline HTML pass through
+        .replace(/&(?![a-zA-Z]+;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;')
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1" class="rounded-xl my-8" loading="lazy">')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2" class="text-primary hover:underline">$1</a>')
+        .replace(/\*\*(.+?)\*\*/g, '<strong class="text-white">$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+function renderCode(lines, language) {
+    const isShell = language === 'shell' || language === 'bash';
+    const body = lines.map(line => {
+        const escaped = escapeHtml(line);
+        if (isShell && line.startsWith('#')) return `<span class="text-gray-500">${escaped}</span>`;
+        if (isShell && line.startsWith('$')) return `<span class="text-green-400">${escaped}</span>`;
+        return escaped;
+    }).join('\n');
+
+    return `<pre class="bg-gray-900 rounded-xl p-6 font-mono text-sm text-gray-300 my-6 overflow-x-auto"><code>${body}</code></pre>`;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => renderInline(cell.trim()));
+}
+
+function renderTable(lines) {
+    const header = splitTableRow(lines[0]);
+    const rows = lines.slice(2).map(splitTableRow);
+
+    return `<div class="overflow-x-auto my-8">
+    <table class="min-w-full bg-white/5 border border-white/10 rounded-xl overflow-hidden">
+        <thead class="bg-white/10">
+            <tr>
+${header.map(cell => `                <th class="px-6 py-3 text-left font-semibold text-white">${cell}</th>`).join('\n')}
+            </tr>
+        </thead>
+        <tbody class="divide-y divide-white/10 text-gray-400">
+${rows.map(row => `            <tr>
+${row.map((cell, index) => `                <td class="px-6 py-4${index === 0 ? ' font-medium text-white' : ''}">${cell}</td>`).join('\n')}
+            </tr>`).join('\n')}
+        </tbody>
+    </table>
+</div>`;
+}
+
+function renderList(items, ordered) {
+    const tag = ordered ? 'ol' : 'ul';
+    const style = ordered ? 'list-decimal' : 'list-disc';
+    return `<${tag} class="${style} list-inside space-y-2 mb-6 text-gray-400">
+${items.map(item => `    <li>${renderInline(item)}</li>`).join('\n')}
+</${tag}>`;
+}
+
+const LIST_ITEM = /^(?:[-*]|\d+\.)\s+/;
+const TABLE_SEPARATOR = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+
+function startsBlock(line, nextLine) {
+    return /^(#{2,3}\s|```|<|>)/.test(line)
+        || LIST_ITEM.test(line)
+        || (line.startsWith('|') && TABLE_SEPARATOR.test(nextLine || ''));
+}
+
+/**
+ * Render a post body to HTML
+ * @returns {{ html: string, headings: Array<{ id: string, text: string }> }} h2s for the table of contents
+ */
+function renderMarkdown(markdown, file) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    const headings = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(/^```\s*(\w*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith('```')) {
+                code.push(lines[i++]);
+            }
+            if (i === lines.length) {
+                throw new Error(`${file}: unclosed code fence`);
+            }
+            i++;
+            blocks.push(renderCode(code, fence[1]));
+            continue;
+        }
+
+        const heading = line.match(/^(#{2,3})\s+(.+?)(?:\s+\{#([\w-]+)\})?\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            const text = renderInline(heading[2]);
+            const id = heading[3] || slugify(text);
+            const margin = blocks.length === 0 ? 'mt-8' : 'mt-12';
+            if (level === 2) {
+                headings.push({ id, text });
+                blocks.push(`<h2 id="${id}" class="text-2xl font-bold ${margin} mb-4 text-white">${text}</h2>`);
+            } else {
+                blocks.push(`<h3 id="${id}" class="text-xl font-semibold mt-8 mb-3 text-white">${text}</h3>`);
+            }
+            i++;
+            continue;
+        }
+
+        if (line.startsWith('<')) {
+            const html = [];
+            while (i < lines.length && lines[i].trim()) {
+                html.push(lines[i++]);
+            }
+            blocks.push(html.join('\n'));
+            continue;
+        }
+
+        if (line.startsWith('>')) {
+            const quote = [];
+            while (i < lines.length && lines[i].startsWith('>')) {
+                quote.push(lines[i++].replace(/^>\s?/, ''));
+            }
+            blocks.push(`<blockquote class="border-l-4 border-primary pl-4 italic my-6 text-gray-400">
+    ${renderInline(quote.join(' '))}
+</blockquote>`);
+            continue;
+        }
+
+        if (line.startsWith('|') && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+            const table = [];
+            while (i < lines.length && lines[i].startsWith('|')) {
+                table.push(lines[i++]);
+            }
+            blocks.push(renderTable(table));
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const ordered = /^\d+\./.test(line);
+            const items = [];
+            while (i < lines.length && lines[i].trim()) {
+                if (LIST_ITEM.test(lines[i])) {
+                    items.push(lines[i].replace(LIST_ITEM, ''));
+                } else {
+                    // Indented continuation of the previous item
+                    items[items.length - 1] += ` ${lines[i].trim()}`;
+                }
+                i++;
+            }
+            blocks.push(renderList(items, ordered));
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i], lines[i + 1]))) {
+            paragraph.push(lines[i++].trim());
+        }
+        blocks.push(`<p class="mb-4">${renderInline(paragraph.join(' '))}</p>`);
+    }
+
+    // Headings sit directly on top of the block they introduce
+    const html = blocks.reduce((out, block, index) => {
+        if (index === 0) return block;
+        return out + (blocks[index - 1].startsWith('<h') ? '\n' : '\n\n') + block;
+    }, '');
+
+    return { html, headings };
+}
+
+// ---------------------------------------------------------------------------
+// Posts
+// ---------------------------------------------------------------------------
+
+function loadPost(file) {
+    const source = fs.readFileSync(path.join(CONTENT_DIR, file), 'utf8');
+    const { data, body } = parseFrontMatter(source, file);
+
+    REQUIRED_FIELDS.forEach(field => {
+        if (!data[field]) {
+            throw new Error(`${file}: front matter is missing "${field}"`);
+        }
+    });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date) || (data.updated && !/^\d{4}-\d{2}-\d{2}$/.test(data.updated))) {
+        throw new Error(`${file}: dates must be YYYY-MM-DD`);
+    }
+    if (!CATEGORY_STYLES[data.category]) {
+        throw new Error(`${file}: unknown category "${data.category}" (expected one of ${Object.keys(CATEGORY_STYLES).join(', ')})`);
+    }
+    if (data.highlight && !data.title.endsWith(data.highlight)) {
+        throw new Error(`${file}: highlight must be the end of the title`);
+    }
+
+    const slug = path.basename(file, '.md');
+    const { html, headings } = renderMarkdown(body, file);
+    const words = html.replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length;
+
+    return {
+        ...data,
+        slug,
+        url: `/blog/${slug}/`,
+        shortTitle: data.shortTitle || data.title,
+        excerpt: data.excerpt || data.summary,
+        updated: data.updated || data.date,
+        tags: data.tags || [],
+        keywords: data.keywords || data.tags || [],
+        image: data.image || DEFAULT_IMAGE,
+        author: data.author || DEFAULT_AUTHOR,
+        readingTime: Number(data.readingTime) || Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+        style: CATEGORY_STYLES[data.category],
+        html,
+        headings
+    };
+}
+
+/**
+ * All published posts, newest first
+ */
+function loadPosts() {
+    return fs.readdirSync(CONTENT_DIR)
+        .filter(file => file.endsWith('.md'))
+        .map(loadPost)
+        .filter(post => !post.draft)
+        .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * The posts named in `related`, else the ones sharing the most tags
+ */
+function findRelated(post, posts) {
+    if (post.related) {
+        return post.related.map(slug => {
+            const related = posts.find(candidate => candidate.slug === slug);
+            if (!related) {
+                throw new Error(`${post.slug}.md: related post "${slug}" does not exist`);
+            }
+            return related;
+        });
+    }
+
+    return posts
+        .filter(candidate => candidate !== post)
+        .map(candidate => ({ candidate, shared: candidate.tags.filter(tag => post.tags.includes(tag)).length }))
+        .sort((a, b) => b.shared - a.shared)
+        .slice(0, RELATED_COUNT)
+        .map(({ candidate }) => candidate);
+}
+
+function authorSchema(name) {
+    return { '@type': name === DEFAULT_AUTHOR ? 'Organization' : 'Person', name };
+}
+
+function renderPostSchema(post) {
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description: post.description,
+        image: SITE_URL + post.image,
+        datePublished: post.date,
+        dateModified: post.updated,
+        author: authorSchema(post.author),
+        publisher: {
+            '@type': 'Organization',
+            name: 'Knowledge Nexus',
+            logo: { '@type': 'ImageObject', url: `${SITE_URL}/images/logo.png` }
+        },
+        mainEntityOfPage: { '@type': 'WebPage', '@id': SITE_URL + post.url },
+        articleSection: post.category,
+        keywords: post.tags.join(', '),
+        wordCount: post.html.replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length
+    };
+    return renderJsonLd(schema);
+}
+
+function renderBreadcrumbSchema(post) {
+    const crumbs = [['Home', '/'], ['Blog', '/blog/'], [post.shortTitle, post.url]];
+    return renderJsonLd({
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: crumbs.map(([name, url], index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name,
+            item: SITE_URL + url
+        }))
+    });
+}
+
+/**
+ * JSON-LD body, indented to sit inside the template's <script> tag
+ */
+function renderJsonLd(schema) {
+    return indent(JSON.stringify(schema, null, 4).replace(/</g, '\\u003c'), 4).trimStart();
+}
+
+function renderHeading(post) {
+    if (!post.highlight) return escapeHtml(post.title);
+    const lead = post.title.slice(0, -post.highlight.length);
+    return `${escapeHtml(lead)}<span class="gradient-text">${escapeHtml(post.highlight)}</span>`;
+}
+
+function renderToc(post) {
+    if (!post.toc || post.headings.length === 0) return '';
+    return `
+            <!-- Table of Contents -->
+            <div class="bg-white/5 border border-white/10 rounded-xl p-6 mb-12">
+                <h2 class="font-semibold mb-4 text-white" data-i18n="blog.toc">Table of Contents</h2>
+                <ul class="space-y-2 text-primary">
+${post.headings.map(({ id, text }) => `                    <li><a href="#${id}" class="hover:underline">${text}</a></li>`).join('\n')}
+                </ul>
+            </div>
+`;
+}
+
+function renderRelated(posts) {
+    return posts.map(post => `                    <a href="${post.url}" class="bg-white/5 border border-white/10 rounded-xl p-4 hover:bg-white/10 transition group">
+                        <h4 class="font-semibold group-hover:text-primary transition text-white">${escapeHtml(post.shortTitle)}</h4>
+                        <p class="text-sm text-gray-500 mt-2">${escapeHtml(post.excerpt)}</p>
+                    </a>`).join('\n');
+}
+
+function renderPost(post, posts) {
+    const absoluteUrl = SITE_URL + post.url;
+    const shareText = encodeURIComponent(post.title);
+
+    return renderTemplate('blog/post.html', {
+        slug: post.slug,
+        title: escapeHtml(post.title),
+        description: escapeHtml(post.description),
+        keywords: escapeHtml(post.keywords.join(', ')),
+        url: escapeHtml(absoluteUrl),
+        image: escapeHtml(SITE_URL + post.image),
+        date: post.date,
+        updated: post.updated,
+        author: escapeHtml(post.author),
+        category: escapeHtml(post.category),
+        articleTags: post.tags.map(tag => `\n    <meta property="article:tag" content="${escapeHtml(tag)}">`).join(''),
+        postSchema: renderPostSchema(post),
+        breadcrumbSchema: renderBreadcrumbSchema(post),
+        shortTitle: escapeHtml(post.shortTitle),
+        badge: post.style.badge,
+        gradient: post.style.gradient,
+        displayDate: formatDate(post.date, 'long'),
+        readingTime: post.readingTime,
+        heading: renderHeading(post),
+        summary: escapeHtml(post.summary),
+        toc: renderToc(post),
+        content: indent(post.html, 16),
+        twitterShareUrl: escapeHtml(`https://twitter.com/intent/tweet?url=${encodeURIComponent(absoluteUrl)}&text=${shareText}`),
+        linkedinShareUrl: escapeHtml(`https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(absoluteUrl)}`),
+        related: renderRelated(findRelated(post, posts))
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Blog index
+// ---------------------------------------------------------------------------
+
+function renderFeaturedCard(post) {
+    return `<a href="${post.url}" class="block bg-white/5 rounded-2xl border border-white/10 overflow-hidden card-hover group">
+    <div class="md:flex">
+        <div class="md:w-2/5 bg-gradient-to-br ${post.style.gradient} h-48 md:h-auto flex items-center justify-center">
+            <svg class="w-20 h-20 text-white/30" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="${post.style.icon}"/>
+            </svg>
+        </div>
+        <div class="p-8 md:w-3/5">
+            <div class="flex items-center space-x-3 text-sm text-gray-400 mb-3">
+                <span class="${post.style.badge} px-3 py-1 rounded-full text-xs font-medium">${escapeHtml(post.category)}</span>
+                <span>${formatDate(post.date, 'short')}</span>
+                <span data-i18n="blog.readingTime" data-i18n-params='{"count":${post.readingTime}}'>${post.readingTime} min read</span>
+            </div>
+            <h3 class="text-2xl font-bold mb-3 group-hover:text-primary transition">${escapeHtml(post.title)}</h3>
+            <p class="text-gray-400 mb-4">${escapeHtml(post.summary)}</p>
+            <span class="text-primary font-medium inline-flex items-center">
+                <span data-i18n="blog.readMore">Read more</span>
+                <svg class="w-4 h-4 ml-1 group-hover:translate-x-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/>
+                </svg>
+            </span>
+        </div>
+    </div>
+</a>`;
+}
+
+function renderCard(post) {
+    return `<a href="${post.url}" class="bg-white/5 rounded-xl border border-white/10 overflow-hidden card-hover group">
+    <div class="h-40 bg-gradient-to-br ${post.style.gradient} flex items-center justify-center">
+        <svg class="w-12 h-12 text-white/30" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="${post.style.icon}"/>
+        </svg>
+    </div>
+    <div class="p-6">
+        <div class="flex items-center space-x-2 text-sm text-gray-400 mb-3">
+            <span class="${post.style.badge} px-2 py-1 rounded-full text-xs font-medium">${escapeHtml(post.category)}</span>
+            <span>${formatDate(post.date, 'short')}</span>
+        </div>
+        <h3 class="text-lg font-semibold mb-2 group-hover:text-primary transition">${escapeHtml(post.title)}</h3>
+        <p class="text-gray-400 text-sm">${escapeHtml(post.excerpt)}</p>
+    </div>
+</a>`;
+}
+
+function renderBlogSchema(posts) {
+    return renderJsonLd({
+        '@context': 'https://schema.org',
+        '@type': 'Blog',
+        name: 'Knowledge Nexus Blog',
+        description: 'Insights on AI-powered knowledge management, semantic search, and RAG technology',
+        url: `${SITE_URL}/blog/`,
+        publisher: {
+            '@type': 'Organization',
+            name: 'Knowledge Nexus',
+            logo: `${SITE_URL}/images/logo.png`
+        },
+        blogPost: posts.map(post => ({
+            '@type': 'BlogPosting',
+            headline: post.title,
+            url: SITE_URL + post.url,
+            datePublished: post.date
+        }))
+    });
+}
+
+/**
+ * Rendered HTML as plain text, for the search index
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(code))
+        .replace(/&(amp|lt|gt|quot|rarr|middot|nbsp);/g, (match, name) => ({
+            amp: '&', lt: '<', gt: '>', quot: '"', rarr: '→', middot: '·', nbsp: ' '
+        })[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * The start of a section's text, cut at a word boundary
+ */
+function searchExcerpt(text) {
+    if (text.length <= SEARCH_EXCERPT_LENGTH) return text;
+    return `${text.slice(0, text.lastIndexOf(' ', SEARCH_EXCERPT_LENGTH))} …`;
+}
+
+/**
+ * A post split at its ##/### headings; the text before the first one has no id or heading
+ */
+function splitSections(html) {
+    const parts = html.split(/<h[23] id="([^"]+)"[^>]*>([\s\S]*?)<\/h[23]>/);
+    const sections = [{ text: htmlToText(parts[0]) }];
+    for (let i = 1; i < parts.length; i += 3) {
+        sections.push({ id: parts[i], heading: htmlToText(parts[i + 1]), text: htmlToText(parts[i + 2]) });
+    }
+    return sections.filter(section => section.heading || section.text);
+}
+
+/**
+ * The index js/blog-search.js searches: each post's display fields and the
+ * heading and opening text of each section, plus `terms`, mapping every term
+ * to the posts that contain it and its weight in each
+ */
+function buildSearchIndex(posts) {
+    const terms = {};
+
+    const entries = posts.map((post, position) => {
+        const sections = splitSections(post.html);
+        const headings = sections.filter(section => section.heading).map(section => section.heading);
+        const text = htmlToText(post.html);
+        const weights = {};
+        const add = (value, weight) => new Set(tokenizeSearchText(value)).forEach(term => {
+            weights[term] = (weights[term] || 0) + weight;
+        });
+
+        add(post.title, SEARCH_WEIGHTS.title);
+        add([post.category, ...post.tags, ...post.keywords].join(' '), SEARCH_WEIGHTS.tags);
+        add(headings.join(' '), SEARCH_WEIGHTS.headings);
+        add(`${post.summary} ${post.description}`, SEARCH_WEIGHTS.summary);
+
+        const counts = {};
+        tokenizeSearchText(text).forEach(term => {
+            counts[term] = (counts[term] || 0) + 1;
+        });
+        Object.entries(counts).forEach(([term, count]) => {
+            weights[term] = (weights[term] || 0) + Math.min(count, SEARCH_BODY_CAP);
+        });
+
+        Object.entries(weights).forEach(([term, weight]) => {
+            (terms[term] = terms[term] || []).push([position, weight]);
+        });
+
+        return {
+            url: post.url,
+            title: post.title,
+            category: post.category,
+            date: post.date,
+            excerpt: post.excerpt,
+            sections: sections.map(({ id, heading, text: sectionText }) => ({ id, heading, text: searchExcerpt(sectionText) }))
+        };
+    });
+
+    // Sorted so the generated page only changes when the posts do
+    const sortedTerms = {};
+    Object.keys(terms).sort().forEach(term => {
+        sortedTerms[term] = terms[term];
+    });
+
+    // Inside a <script> tag, so "</script>" in a post can't end it early
+    return JSON.stringify({ posts: entries, terms: sortedTerms }).replace(/</g, '\\u003c');
+}
+
+/**
+ * The newest post marked `featured: true` leads the page; the rest follow as cards
+ */
+function renderIndex(posts) {
+    const featured = posts.find(post => post.featured) || posts[0];
+    const recent = posts.filter(post => post !== featured);
+
+    return renderTemplate('blog/index.html', {
+        blogSchema: renderBlogSchema(posts),
+        searchIndex: buildSearchIndex(posts),
+        featured: indent(renderFeaturedCard(featured), 16),
+        posts: recent.map(post => indent(renderCard(post), 16)).join('\n\n')
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Feed and sitemap
+// ---------------------------------------------------------------------------
+
+function renderFeed(posts) {
+    const updated = posts.map(post => post.updated).sort().pop();
+    const entries = posts.map(post => `  <entry>
+    <id>${SITE_URL}${post.url}</id>
+    <title>${escapeHtml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${SITE_URL}${post.url}"/>
+    <published>${post.date}T00:00:00Z</published>
+    <updated>${post.updated}T00:00:00Z</updated>
+    <author><name>${escapeHtml(post.author)}</name></author>
+${post.tags.map(tag => `    <category term="${escapeHtml(tag)}"/>\n`).join('')}    <summary>${escapeHtml(post.description)}</summary>
+    <content type="html">${escapeHtml(post.html)}</content>
+  </entry>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:base="${SITE_URL}/">
+  <id>${SITE_URL}/blog/</id>
+  <title>Knowledge Nexus Blog</title>
+  <subtitle>Insights on AI-powered knowledge management, semantic search, and RAG technology.</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}/blog/feed.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/blog/"/>
+  <author><name>Knowledge Nexus</name></author>
+  <updated>${updated}T00:00:00Z</updated>
+${entries}</feed>
+`;
+}
+
+function renderSitemap(posts) {
+    const urls = posts.map(post => `    <url>
+        <loc>${SITE_URL}${post.url}</loc>
+        <lastmod>${post.updated}</lastmod>
+        <changefreq>monthly</changefreq>
+        <priority>0.7</priority>
+    </url>`).join('\n\n');
+
+    return renderTemplate('sitemap.xml', {
+        blogUpdated: posts.map(post => post.updated).sort().pop(),
+        blogPosts: urls
+    });
+}
+
+// ---------------------------------------------------------------------------
+
+const staleFiles = [];
+
+function writeOutput(file, contents) {
+    if (CHECK_ONLY) {
+        const committed = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        if (committed !== contents) {
+            staleFiles.push(path.relative(ROOT, file));
+        }
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    console.log(`Wrote ${path.relative(ROOT, file)}`);
+}
+
+const posts = loadPosts();
+if (posts.length === 0) {
+    throw new Error(`No posts found in ${path.relative(ROOT, CONTENT_DIR)}`);
+}
+
+posts.forEach(post => writeOutput(path.join(BLOG_DIR, post.slug, 'index.html'), renderPost(post, posts)));
+writeOutput(path.join(BLOG_DIR, 'index.html'), renderIndex(posts));
+writeOutput(path.join(BLOG_DIR, 'feed.xml'), renderFeed(posts));
+writeOutput(path.join(ROOT, 'sitemap.xml'), renderSitemap(posts));
+
+if (CHECK_ONLY) {
+    if (staleFiles.length > 0) {
+        console.error(`Out of date - run node scripts/build-blog.js and commit:\n- ${staleFiles.join('\n- ')}`);
+        process.exit(1);
+    }
+    console.log('Blog output is up to date');
+}
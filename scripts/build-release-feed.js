@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Nexus - Release Feed Builder
+ *
+ * Writes an Atom feed of Nexus Connect releases to changelog/feed.xml from
+ * downloads/releases.json, the manifest behind the downloads and changelog
+ * pages. The feed is committed, so rerun this after editing the manifest and
+ * commit it with the change. deploy.sh runs it with --check, which fails
+ * instead of writing when the committed feed is out of date.
+ *
+ * Releases without a `date` are left out of the feed (Atom entries need one)
+ * and reported as a warning. Until at least one release has a date there is
+ * no feed: the file is removed rather than published with a made-up date.
+ *
+ * Usage:
+ *   node scripts/build-release-feed.js
+ *   node scripts/build-release-feed.js --check
+ *   SITE_URL=https://staging.knowledgenexus.ai node scripts/build-release-feed.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'downloads', 'releases.json');
+const FEED_PATH = path.join(ROOT, 'changelog', 'feed.xml');
+const SITE_URL = (process.env.SITE_URL || 'https://knowledgenexus.ai').replace(/\/$/, '');
+const DEFAULT_CHANNEL = 'stable';
+const CHECK_ONLY = process.argv.includes('--check');
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Release notes as the HTML carried in an entry's <content>
+ */
+function renderContent(release) {
+    let html = '';
+    if (release.breaking?.length) {
+        html += `<p><strong>Breaking changes</strong></p><ul>${release.breaking.map(change => `<li>${change}</li>`).join('')}</ul>`;
+    }
+    if (release.notes?.length) {
+        html += `<ul>${release.notes.map(note => `<li>${note}</li>`).join('')}</ul>`;
+    }
+    const downloadUrl = release.channel === DEFAULT_CHANNEL
+        ? `${SITE_URL}/downloads/`
+        : `${SITE_URL}/downloads/?channel=${release.channel}`;
+    html += `<p><a href="${downloadUrl}">Download Nexus Connect ${release.version}</a></p>`;
+    return html;
+}
+
+function renderEntry(release) {
+    const url = `${SITE_URL}/changelog/#v${release.version}`;
+    const title = release.channel === DEFAULT_CHANNEL
+        ? `Nexus Connect ${release.version}`
+        : `Nexus Connect ${release.version} (${release.channel})`;
+
+    return `  <entry>
+    <id>${escapeXml(url)}</id>
+    <title>${escapeXml(title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <updated>${release.date}T00:00:00Z</updated>
+    <content type="html">${escapeXml(renderContent(release))}</content>
+  </entry>
+`;
+}
+
+function buildFeed(manifest) {
+    const dated = manifest.releases.filter(release => {
+        if (!release.date) {
+            console.warn(`Skipping ${release.version}: no date in releases.json`);
+            return false;
+        }
+        return true;
+    });
+    if (dated.length === 0) return null;
+
+    const updated = `${dated.map(release => release.date).sort().pop()}T00:00:00Z`;
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${SITE_URL}/changelog/</id>
+  <title>Nexus Connect releases</title>
+  <subtitle>Release notes for Nexus Connect, the Knowledge Nexus desktop app.</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}/changelog/feed.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/changelog/"/>
+  <author><name>Knowledge Nexus</name></author>
+  <updated>${updated}</updated>
+${dated.map(renderEntry).join('')}</feed>
+`;
+}
+
+const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+const feed = buildFeed(manifest);
+
+if (CHECK_ONLY) {
+    const committed = fs.existsSync(FEED_PATH) ? fs.readFileSync(FEED_PATH, 'utf8') : null;
+    if (committed !== feed) {
+        console.error(`${path.relative(ROOT, FEED_PATH)} is out of date - run node scripts/build-release-feed.js and commit it`);
+        process.exit(1);
+    }
+    console.log(feed ? `${path.relative(ROOT, FEED_PATH)} is up to date` : 'No release has a date yet, so there is no feed');
+} else if (feed) {
+    fs.writeFileSync(FEED_PATH, feed);
+    console.log(`Wrote ${path.relative(ROOT, FEED_PATH)}`);
+} else {
+    fs.rmSync(FEED_PATH, { force: true });
+    console.log(`No release has a date yet - removed ${path.relative(ROOT, FEED_PATH)}`);
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Nexus - Release Manifest Check
+ *
+ * Reports releases in downloads/releases.json that are missing details the
+ * downloads and changelog pages promise visitors: a release date and notes,
+ * and a size and SHA-256 checksum for every file. deploy.sh runs it before
+ * uploading anything. An incomplete release is skipped with a warning rather
+ * than failing the deploy, so one release waiting on its checksum doesn't hold
+ * back the rest of the site; the pages show it as "Checksum not published"
+ * until the details are filled in.
+ *
+ * Gated builds (see js/downloads.js) are only served through signed URLs, so
+ * they must not have a public `url`. That, and public urls outside
+ * /downloads/, do fail the check. With --public-files it instead prints the
+ * `url` of every public build, which is all deploy.sh uploads from downloads/.
+ *
+ * Usage:
+ *   node scripts/check-releases.js
+ *   node scripts/check-releases.js --public-files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../js/config.js');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'downloads', 'releases.json');
+
+/**
+ * Same rule as isGatedDownload() in js/downloads.js
+ */
+function isGatedDownload(file) {
+    return CONFIG.features.authenticatedDownloads || file.tiers?.length > 0 || !file.url;
+}
+
+/**
+ * @returns {{problems: string[], incomplete: Object<string, string[]>}} problems
+ *   that fail the check, and the missing details of each incomplete release
+ */
+function checkManifest(manifest) {
+    const problems = [];
+    const incomplete = {};
+
+    manifest.releases.forEach(release => {
+        const name = `${release.version} (${release.channel})`;
+        const missing = [];
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(release.date || '')) {
+            missing.push('date must be the release date as YYYY-MM-DD');
+        }
+        if (!release.notes?.length) {
+            missing.push('notes must list what changed in the release');
+        }
+
+        release.files.forEach(file => {
+            const fileName = `${name} ${file.platform}/${file.arch}`;
+            if (!Number.isInteger(file.size) || file.size <= 0) {
+                missing.push(`${file.platform}/${file.arch}: size must be the file size in bytes`);
+            }
+            if (!/^[a-f0-9]{64}$/i.test(file.sha256 || '')) {
+                missing.push(`${file.platform}/${file.arch}: sha256 must be the file's checksum (shasum -a 256 <file>)`);
+            }
+            if (file.url && isGatedDownload(file)) {
+                problems.push(`${fileName}: gated builds must not have a url - they are only served through signed URLs`);
+            } else if (file.url && !/^\/downloads\/[^/]+$/.test(file.url)) {
+                problems.push(`${fileName}: url must be a file directly under /downloads/`);
+            }
+        });
+
+        if (missing.length > 0) {
+            incomplete[name] = missing;
+        }
+    });
+
+    return { problems, incomplete };
+}
+
+const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+if (process.argv.includes('--public-files')) {
+    manifest.releases
+        .flatMap(release => release.files)
+        .filter(file => !isGatedDownload(file))
+        .forEach(file => console.log(file.url));
+    process.exit(0);
+}
+
+const { problems, incomplete } = checkManifest(manifest);
+
+Object.entries(incomplete).forEach(([name, missing]) => {
+    console.warn(`Warning: ${name} is incomplete and was skipped:\n- ${missing.join('\n- ')}`);
+});
+
+if (problems.length > 0) {
+    console.error(`${path.relative(ROOT, MANIFEST_PATH)} is invalid:\n- ${problems.join('\n- ')}`);
+    process.exit(1);
+}
+console.log(Object.keys(incomplete).length > 0
+    ? `${path.relative(ROOT, MANIFEST_PATH)} is valid; skipped ${Object.keys(incomplete).length} incomplete release(s)`
+    : `${path.relative(ROOT, MANIFEST_PATH)} is complete`);